@@ -0,0 +1,121 @@
+// --- BIOMES ---
+// What the land either side of the road looks like: city, desert, forest,
+// coast or mountain. The road runs through one biome for a stretch and then
+// blends into the next over TRANSITION. Which biomes come and how long each
+// lasts is drawn from the run seed (createBiomePlan), unless the player picked
+// one biome for the whole run on the start screen.
+//
+// Data and lookups only, no Three.js: game.js turns a biome into ground
+// colours, sky and fog, roadside props and buildings.
+//
+// Per biome:
+//   sky, fogDensity   sky and fog colour (hex) and how thick the fog is
+//   ground            colour of the land beside the road
+//   left, right       further out ({ color, rise }): mountainsides, the sea...
+//                     null keeps the ground colour and level
+//   lampPosts         street lights along the road
+//   buildings         building style (see game.js) and the chance of one per spot
+//   props             { kind, count, chance, near, far }: up to `count` per spot,
+//                     each with `chance`, between `near` and `far` from the road edge
+
+import { deriveRng } from './rng.js';
+import { createStretchPlan, planAt } from './stretches.js';
+
+export const BIOMES = {
+    city: {
+        label: 'CITY',
+        sky: 0x87CEEB,
+        fogDensity: 0.015,
+        ground: 0x4CAF50,
+        left: null,
+        right: null,
+        lampPosts: true,
+        buildings: { style: 'tower', chance: 0.7 },
+        props: [],
+    },
+    desert: {
+        label: 'DESERT',
+        sky: 0xf2dcae,
+        fogDensity: 0.011,
+        ground: 0xd9b77a,
+        left: { color: 0xe3c48e, rise: 4 }, // Dunes
+        right: { color: 0xe3c48e, rise: 3 },
+        lampPosts: false,
+        buildings: { style: 'adobe', chance: 0.08 },
+        props: [
+            { kind: 'cactus', count: 2, chance: 0.5, near: 4, far: 28 },
+            { kind: 'rock', count: 1, chance: 0.4, near: 3, far: 28 },
+        ],
+    },
+    forest: {
+        label: 'FOREST',
+        sky: 0x9ec9e2,
+        fogDensity: 0.02,
+        ground: 0x2f6b2a,
+        left: { color: 0x24551f, rise: 0 },
+        right: { color: 0x24551f, rise: 0 },
+        lampPosts: false,
+        buildings: { style: 'cabin', chance: 0.06 },
+        props: [
+            { kind: 'tree', count: 5, chance: 0.8, near: 4, far: 60 },
+        ],
+    },
+    coast: {
+        label: 'COAST',
+        sky: 0x7ec8f2,
+        fogDensity: 0.012,
+        ground: 0xe6d3a0, // Sand
+        left: { color: 0x6fa35a, rise: 2 },
+        right: { color: 0x1f78b4, rise: -1.5 }, // The sea
+        lampPosts: true,
+        buildings: { style: 'villa', chance: 0.3 },
+        props: [
+            { kind: 'palm', count: 2, chance: 0.5, near: 3, far: 12 },
+        ],
+    },
+    mountain: {
+        label: 'MOUNTAIN',
+        sky: 0xb4c8dc,
+        fogDensity: 0.018,
+        ground: 0x6d7a5c,
+        left: { color: 0x77736b, rise: 40 }, // Cliffs
+        right: { color: 0x5d6a4e, rise: 12 },
+        lampPosts: false,
+        buildings: { style: 'cabin', chance: 0.04 },
+        props: [
+            { kind: 'rock', count: 2, chance: 0.5, near: 3, far: 25 },
+            { kind: 'tree', count: 2, chance: 0.4, near: 5, far: 25 },
+        ],
+    },
+};
+
+export const BIOME_TYPES = Object.keys(BIOMES);
+
+const STRETCH = 2500; // Average length of a biome
+export const TRANSITION = 400; // Blend from one biome into the next over this distance
+
+// `fixed` is a biome type to keep for the whole run, or null to draw them from the seed
+export function createBiomePlan(seed, fixed = null) {
+    return {
+        ...createStretchPlan(deriveRng(seed, 'biomes'), drawBiome), // See stretches.js
+        fixed: BIOMES[fixed] ? fixed : null,
+    };
+}
+
+// Any biome but the one before
+function drawBiome(last, random) {
+    const others = BIOME_TYPES.filter(type => !last || type !== last.type);
+    const start = last ? last.end : 0;
+    return {
+        type: others[Math.floor(random() * others.length)],
+        start,
+        end: start + STRETCH * (0.6 + random() * 0.8),
+    };
+}
+
+// The biome at distance s: { type, next, blend }. Over the last TRANSITION of
+// a stretch `blend` goes from 0 to 1 as `type` gives way to `next`.
+export function biomeAt(plan, s) {
+    if (plan.fixed) return { type: plan.fixed, next: plan.fixed, blend: 0 };
+    return planAt(plan, s, TRANSITION);
+}
@@ -0,0 +1,76 @@
+// --- CARS ---
+// One entry per drivable car. Body and cabin sizes are what createPlayerCar
+// builds from; `stats` is what the simulation drives with:
+//   topSpeed    units/s (HUD shows double as KM/H)
+//   accelCurve  [speed, acceleration] points, linear in between: strong off
+//               the line, fading towards top speed
+//   braking     deceleration in units/s²
+//   lateral     steering agility: how fast and how far the wheel turns
+//   grip        peak sideways acceleration in units/s², fades with speed
+//   balance     rear / front grip: above 1 understeers, below 1 oversteers
+//   mass        kg; heavy cars shrug off bumps
+
+export const CARS = {
+    ferrari: {
+        name: 'Ferrari', color: 0xff0000, bodyW: 1.9, bodyH: 0.6, bodyL: 4.2, cabinW: 1.3, cabinH: 0.55, spoiler: true,
+        stats: { topSpeed: 122, accelCurve: [[0, 14], [60, 10], [122, 3]], braking: 95, lateral: 17, grip: 42, balance: 1.0, mass: 1500 }
+    },
+    lamborghini: {
+        name: 'Lamborghini', color: 0xeebb00, bodyW: 2.0, bodyH: 0.5, bodyL: 4.3, cabinW: 1.2, cabinH: 0.5, spoiler: true,
+        stats: { topSpeed: 126, accelCurve: [[0, 15], [60, 11], [126, 3]], braking: 92, lateral: 16, grip: 44, balance: 1.05, mass: 1550 }
+    },
+    bugatti: {
+        name: 'Bugatti', color: 0x0077ff, bodyW: 2.1, bodyH: 0.7, bodyL: 4.4, cabinW: 1.4, cabinH: 0.6, spoiler: true,
+        stats: { topSpeed: 135, accelCurve: [[0, 16], [70, 12], [135, 3]], braking: 90, lateral: 15, grip: 40, balance: 1.1, mass: 1950 }
+    },
+    bmw: {
+        name: 'BMW', color: 0xdddddd, bodyW: 1.8, bodyH: 0.75, bodyL: 4.0, cabinW: 1.4, cabinH: 0.65,
+        stats: { topSpeed: 110, accelCurve: [[0, 10], [50, 7], [110, 2]], braking: 85, lateral: 16, grip: 36, balance: 0.92, mass: 1600 }
+    },
+    mercedes: {
+        name: 'Mercedes', color: 0xaaaaaa, bodyW: 1.8, bodyH: 0.7, bodyL: 4.1, cabinW: 1.4, cabinH: 0.6,
+        stats: { topSpeed: 110, accelCurve: [[0, 9], [50, 7], [110, 2]], braking: 85, lateral: 15, grip: 34, balance: 1.05, mass: 1750 }
+    },
+    toyota: {
+        name: 'Toyota', color: 0xffffff, bodyW: 1.7, bodyH: 0.7, bodyL: 3.8, cabinW: 1.3, cabinH: 0.6,
+        stats: { topSpeed: 100, accelCurve: [[0, 8], [50, 6], [100, 2]], braking: 80, lateral: 15, grip: 30, balance: 1.1, mass: 1300 }
+    },
+    truck: {
+        name: 'Truck', color: 0x00ff00, bodyW: 2.2, bodyH: 2.5, bodyL: 6.0, cabinW: 2.0, cabinH: 1.8,
+        stats: { topSpeed: 80, accelCurve: [[0, 5], [40, 3.5], [80, 1]], braking: 45, lateral: 9, grip: 20, balance: 1.3, mass: 9000 }
+    }
+};
+
+export const CAR_TYPES = Object.keys(CARS);
+export const DEFAULT_CAR = 'toyota';
+
+// Unknown types fall back to the ferrari, as createPlayerCar always has
+export function getCar(type) {
+    return CARS[type] || CARS.ferrari;
+}
+
+// Acceleration at a given speed, read off the car's curve
+export function accelerationAt(stats, speed) {
+    const curve = stats.accelCurve;
+    if (speed <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [s1, a1] = curve[i];
+        if (speed <= s1) {
+            const [s0, a0] = curve[i - 1];
+            return a0 + (a1 - a0) * (speed - s0) / (s1 - s0);
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+// Seconds to go from one speed to another on full throttle (garage numbers)
+export function timeToSpeed(stats, from, to) {
+    const step = 0.05;
+    let speed = from;
+    let time = 0;
+    while (speed < to && time < 120) {
+        speed += accelerationAt(stats, speed) * step;
+        time += step;
+    }
+    return time;
+}
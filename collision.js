@@ -0,0 +1,129 @@
+// --- COLLISION ---
+// Oriented boxes on the road plane. Every vehicle is a box centred on its
+// (x, z) position, turned by its yaw (same convention as the renderer:
+// positive yaw turns the nose left, towards -x) and sized from its mesh:
+// `width` across, `length` nose to tail.
+//
+// Narrowphase is a separating-axis test between two boxes. The broadphase
+// buckets boxes by z, since the road is narrow and long, so each query only
+// looks at the few cars around it however dense the traffic gets.
+
+const EPSILON = 1e-3;
+
+export function boxOf(body) {
+    const sin = Math.sin(body.yaw || 0);
+    const cos = Math.cos(body.yaw || 0);
+    return {
+        x: body.x,
+        z: body.z,
+        halfW: body.width / 2,
+        halfL: body.length / 2,
+        right: { x: cos, z: -sin }, // Unit vector to the body's right
+        forward: { x: -sin, z: -cos }, // Unit vector out of the nose
+    };
+}
+
+// The four corners, in road coordinates
+export function corners(box) {
+    const { x, z, halfW, halfL, right, forward } = box;
+    return [[1, 1], [-1, 1], [-1, -1], [1, -1]].map(([r, f]) => ({
+        x: x + right.x * halfW * r + forward.x * halfL * f,
+        z: z + right.z * halfW * r + forward.z * halfL * f,
+    }));
+}
+
+// Half extents of the axis-aligned box around it
+export function extents(box) {
+    return {
+        x: box.halfW * Math.abs(box.right.x) + box.halfL * Math.abs(box.forward.x),
+        z: box.halfW * Math.abs(box.right.z) + box.halfL * Math.abs(box.forward.z),
+    };
+}
+
+// How far the box reaches along a unit axis, either side of its centre
+function radiusAlong(box, axis) {
+    return box.halfW * Math.abs(box.right.x * axis.x + box.right.z * axis.z) +
+        box.halfL * Math.abs(box.forward.x * axis.x + box.forward.z * axis.z);
+}
+
+// Middle of the corners that reach furthest along `dir` (a face or a corner)
+function supportPoint(box, dir) {
+    const points = corners(box);
+    const reach = points.map(p => p.x * dir.x + p.z * dir.z);
+    const best = Math.max(...reach);
+    const chosen = points.filter((p, i) => reach[i] > best - EPSILON);
+    return {
+        x: chosen.reduce((sum, p) => sum + p.x, 0) / chosen.length,
+        z: chosen.reduce((sum, p) => sum + p.z, 0) / chosen.length,
+    };
+}
+
+// Separating-axis test. Returns null when the boxes don't touch, otherwise
+// { normal, depth, point }: the unit normal points from `a` towards `b`,
+// depth is how far they overlap along it and point is where they meet.
+export function collideBoxes(a, b) {
+    const dx = b.x - a.x;
+    const dz = b.z - a.z;
+    let depth = Infinity;
+    let normal = null;
+
+    for (const axis of [a.right, a.forward, b.right, b.forward]) {
+        const distance = dx * axis.x + dz * axis.z;
+        const overlap = radiusAlong(a, axis) + radiusAlong(b, axis) - Math.abs(distance);
+        if (overlap <= 0) return null;
+        if (overlap < depth) {
+            depth = overlap;
+            normal = distance < 0 ? { x: -axis.x, z: -axis.z } : { x: axis.x, z: axis.z };
+        }
+    }
+
+    const onA = supportPoint(a, normal);
+    const onB = supportPoint(b, { x: -normal.x, z: -normal.z });
+    return { normal, depth, point: { x: (onA.x + onB.x) / 2, z: (onA.z + onB.z) / 2 } };
+}
+
+// Buckets of boxes by z. Rebuild it (clear + insert) every step; bodies can
+// be anything, the box is what gets tested.
+export function createBroadphase(cellSize = 10) {
+    const cells = new Map();
+
+    function cellRange(box) {
+        const reach = extents(box).z;
+        return [Math.floor((box.z - reach) / cellSize), Math.floor((box.z + reach) / cellSize)];
+    }
+
+    return {
+        clear() {
+            cells.clear();
+        },
+
+        insert(body, box) {
+            const entry = { body, box };
+            const [from, to] = cellRange(box);
+            for (let cell = from; cell <= to; cell++) {
+                if (!cells.has(cell)) cells.set(cell, []);
+                cells.get(cell).push(entry);
+            }
+        },
+
+        // Entries whose bounding boxes overlap this box's, each listed once
+        query(box) {
+            const [from, to] = cellRange(box);
+            const reach = extents(box);
+            const found = new Set();
+            const results = [];
+            for (let cell = from; cell <= to; cell++) {
+                (cells.get(cell) || []).forEach(entry => {
+                    if (found.has(entry)) return;
+                    found.add(entry);
+                    const other = extents(entry.box);
+                    if (Math.abs(entry.box.x - box.x) < reach.x + other.x &&
+                        Math.abs(entry.box.z - box.z) < reach.z + other.z) {
+                        results.push(entry);
+                    }
+                });
+            }
+            return results;
+        },
+    };
+}
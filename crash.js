@@ -0,0 +1,83 @@
+// --- CRASH SEQUENCE ---
+// A destroyed car doesn't stop the run dead: for a couple of seconds the
+// wreck and whatever it hit tumble as rigid bodies while the rest of the
+// traffic drives on or brakes. It is all simulation state stepped like any
+// other tick, so replays (and skipping ahead) land on exactly the same wreck.
+//
+// Tumbling bodies use their usual x, z and yaw plus y (height of the mesh
+// origin, the bottom of the car), pitch and roll, with the renderer's YXZ
+// rotation order. `tumble` holds their velocities.
+
+export const CRASH_DURATION = 2.5; // Simulated seconds before the run is over
+
+const GRAVITY = 9.8;
+const BOUNCE = 0.3; // Share of vertical speed kept on landing
+const SCRUB = 12; // units/s² of sliding loss while touching the ground
+const SPIN_DAMPING = 3; // 1/s, spin lost while touching the ground
+const SETTLE = 20; // rad/s², how hard gravity tips a grounded body onto a flat side
+
+// `velocity` is { x, y, z } in road coordinates, `spin` { pitch, yaw, roll } in rad/s
+export function startTumble(body, velocity, spin) {
+    body.y = body.y || 0;
+    body.pitch = body.pitch || 0;
+    body.roll = body.roll || 0;
+    body.prevY = body.y;
+    body.prevPitch = body.pitch;
+    body.prevRoll = body.roll;
+    body.tumble = {
+        vx: velocity.x,
+        vy: velocity.y,
+        vz: velocity.z,
+        spinPitch: spin.pitch,
+        spinYaw: spin.yaw,
+        spinRoll: spin.roll,
+    };
+}
+
+// Height of the body's lowest corner above its origin, for the current pitch and roll
+function lowestCorner(body) {
+    const sinR = Math.sin(body.roll);
+    const cosR = Math.cos(body.roll);
+    const sinP = Math.sin(body.pitch);
+    const cosP = Math.cos(body.pitch);
+    let lowest = Infinity;
+    for (const x of [-body.width / 2, body.width / 2]) {
+        for (const y of [0, body.height]) {
+            for (const z of [-body.length / 2, body.length / 2]) {
+                lowest = Math.min(lowest, (x * sinR + y * cosR) * cosP - z * sinP);
+            }
+        }
+    }
+    return lowest;
+}
+
+export function stepTumble(body, dt) {
+    const t = body.tumble;
+    t.vy -= GRAVITY * dt;
+    body.x += t.vx * dt;
+    body.y += t.vy * dt;
+    body.z += t.vz * dt;
+    body.pitch += t.spinPitch * dt;
+    body.yaw += t.spinYaw * dt;
+    body.roll += t.spinRoll * dt;
+
+    // Ground: keep every corner above the road, bounce a little and scrub speed
+    const floor = -lowestCorner(body);
+    if (body.y > floor) return;
+
+    body.y = floor;
+    if (t.vy < 0) t.vy = -t.vy * BOUNCE;
+    const speed = Math.hypot(t.vx, t.vz);
+    if (speed > 0) {
+        const kept = Math.max(0, speed - SCRUB * dt) / speed;
+        t.vx *= kept;
+        t.vz *= kept;
+    }
+    // Tip over onto the wheels, a side or the roof; never rest on the nose or a corner
+    t.spinRoll -= Math.sin(2 * body.roll) * SETTLE * dt;
+    t.spinPitch -= Math.sin(body.pitch) * Math.sign(Math.cos(body.pitch)) * SETTLE * dt;
+    const damping = Math.max(0, 1 - SPIN_DAMPING * dt);
+    t.spinPitch *= damping;
+    t.spinYaw *= damping;
+    t.spinRoll *= damping;
+}
@@ -0,0 +1,51 @@
+// --- DAMAGE ---
+// Player car damage, headless like the rest of the rules. Every impact hits
+// one zone of the car (front, rear, left or right); how hard depends on the
+// closing speed along the contact normal, so glancing blows hurt less than
+// head-on ones, and on how heavy the other thing is. Zones wear the handling
+// down (see wearOf) and health running out is what ends a run.
+
+export const ZONES = ['front', 'rear', 'left', 'right'];
+export const MAX_HEALTH = 100;
+
+const DAMAGE_SCALE = 0.04; // Health lost per (units/s)² of closing speed, head-on into a wall
+const ZONE_HEALTH = 60; // Damage a single zone can soak before it is fully smashed
+
+export function createDamage() {
+    return { health: MAX_HEALTH, front: 0, rear: 0, left: 0, right: 0 };
+}
+
+// Zone of the player hit at offset (ox, oz) from its centre, in the car's own
+// frame (oz < 0 is towards the nose), with `halfW` / `halfL` its half sizes.
+// Whichever side the point is relatively closest to is the one that's hit.
+export function contactZone(ox, oz, halfW, halfL) {
+    if (Math.abs(oz) / halfL >= Math.abs(ox) / halfW) {
+        return oz < 0 ? 'front' : 'rear';
+    }
+    return ox < 0 ? 'left' : 'right';
+}
+
+// Health lost for an impact. `otherMass` of Infinity is a wall.
+export function impactDamage(closingSpeed, playerMass, otherMass) {
+    const share = otherMass === Infinity ? 1 : otherMass / (playerMass + otherMass);
+    return DAMAGE_SCALE * closingSpeed * closingSpeed * share * 2;
+}
+
+// Returns true when this hit destroyed the car
+export function applyDamage(damage, zone, amount) {
+    damage[zone] = Math.min(1, damage[zone] + amount / ZONE_HEALTH);
+    damage.health = Math.max(0, damage.health - amount);
+    return damage.health <= 0;
+}
+
+// What the damage does to the handling, as multipliers for vehicle.js:
+// a smashed nose or tail loses that axle's grip, a bent side pulls the car
+// towards it and a tired engine loses power.
+export function wearOf(damage) {
+    return {
+        frontGrip: 1 - 0.4 * damage.front,
+        rearGrip: 1 - 0.4 * damage.rear,
+        power: 0.5 + 0.5 * damage.health / MAX_HEALTH,
+        pull: 0.15 * (damage.left - damage.right), // Share of steering lock, + is left
+    };
+}
@@ -0,0 +1,75 @@
+// --- TIME OF DAY ---
+// The light over the road through a day: the sun's height and colour, how
+// strong it and the ambient and sky light are, how the sky is tinted and how
+// far the lights (building windows, headlights) are on. A day goes from 0
+// (midnight) through 0.25 (dawn), 0.5 (noon) and 0.75 (dusk) back round to 1.
+// The player picks one of TIMES to keep all run, or a running cycle that
+// starts at a time drawn from the run seed.
+//
+// Data and lookups only, like biomes.js: game.js puts it on the lights.
+
+import { deriveRng } from './rng.js';
+
+export const TIMES = { dawn: 0.27, noon: 0.5, dusk: 0.73, night: 0 };
+export const TIME_OPTIONS = ['cycle', ...Object.keys(TIMES)];
+
+// The light at times through the day, blended in between. sun and tint are
+// colours (hex): after dark the "sun" is the moon. tintMix is how far the
+// biome's sky goes to tint; fill scales the lights that show off the cars;
+// lights is how far the lamps are on (0 to 1).
+const KEYS = [
+    { time: 0, sun: 0x8fa3d6, sunLight: 0.4, ambient: 0.35, sky: 0.3, tint: 0x0a0a12, tintMix: 1, fill: 0.3, lights: 1 },
+    { time: 0.2, sun: 0x8fa3d6, sunLight: 0.4, ambient: 0.35, sky: 0.3, tint: 0x0a0a12, tintMix: 1, fill: 0.3, lights: 1 },
+    { time: 0.27, sun: 0xffb27a, sunLight: 0.9, ambient: 0.7, sky: 0.5, tint: 0xffb890, tintMix: 0.35, fill: 0.6, lights: 0.5 },
+    { time: 0.35, sun: 0xfffaed, sunLight: 1.5, ambient: 1.1, sky: 0.8, tint: 0xffffff, tintMix: 0, fill: 1, lights: 0 },
+    { time: 0.65, sun: 0xfffaed, sunLight: 1.5, ambient: 1.1, sky: 0.8, tint: 0xffffff, tintMix: 0, fill: 1, lights: 0 },
+    { time: 0.73, sun: 0xff8a4a, sunLight: 0.9, ambient: 0.7, sky: 0.5, tint: 0xff8a50, tintMix: 0.45, fill: 0.6, lights: 0.6 },
+    { time: 0.8, sun: 0x8fa3d6, sunLight: 0.4, ambient: 0.35, sky: 0.3, tint: 0x0a0a12, tintMix: 1, fill: 0.3, lights: 1 },
+    { time: 1, sun: 0x8fa3d6, sunLight: 0.4, ambient: 0.35, sky: 0.3, tint: 0x0a0a12, tintMix: 1, fill: 0.3, lights: 1 },
+];
+
+// `pick` is one of TIMES, or 'cycle' for a day that goes by from a seeded start
+export function createDayClock(seed, pick = 'cycle') {
+    if (TIMES[pick] !== undefined) return { start: TIMES[pick], running: false };
+    return { start: deriveRng(seed, 'daylight')(), running: true };
+}
+
+// Time of day `seconds` into the run, a whole cycle taking `dayLength` seconds
+export function timeOfDay(clock, seconds, dayLength) {
+    return clock.running ? (clock.start + seconds / dayLength) % 1 : clock.start;
+}
+
+function mixHex(a, b, t) {
+    let color = 0;
+    for (let shift = 16; shift >= 0; shift -= 8) {
+        const from = (a >> shift) & 0xff;
+        const to = (b >> shift) & 0xff;
+        color |= Math.round(from + (to - from) * t) << shift;
+    }
+    return color;
+}
+
+// The light at `time`: the fields of KEYS, plus sunX and sunY, the sun's
+// direction across the sky (up at noon, down at midnight)
+export function daylightAt(time) {
+    const t = ((time % 1) + 1) % 1;
+    let i = 0;
+    while (KEYS[i + 1].time < t) i++;
+    const a = KEYS[i];
+    const b = KEYS[i + 1];
+    const k = (t - a.time) / (b.time - a.time);
+    const mix = key => a[key] + (b[key] - a[key]) * k;
+    const angle = (t - 0.25) * Math.PI * 2;
+    return {
+        sun: mixHex(a.sun, b.sun, k),
+        sunLight: mix('sunLight'),
+        ambient: mix('ambient'),
+        sky: mix('sky'),
+        tint: mixHex(a.tint, b.tint, k),
+        tintMix: mix('tintMix'),
+        fill: mix('fill'),
+        lights: mix('lights'),
+        sunX: Math.cos(angle),
+        sunY: Math.sin(angle),
+    };
+}
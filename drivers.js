@@ -0,0 +1,280 @@
+// --- TRAFFIC DRIVERS ---
+// Every traffic car has a driver with a personality. Drivers stuck behind
+// something slower look for a free lane to overtake in, signal for a moment,
+// look again and only then move over. Now and then one cuts in right in
+// front of the player. Personalities decide how long they signal, how big a
+// gap they want and how pushy they are about it.
+//
+// Emergency vehicles (police, ambulance, fire truck) drive like everyone else
+// but flat out, and everyone ahead of one in its lane pulls over for it.
+//
+// Oncoming traffic (two-way mode) only follows the car ahead of it; lane
+// changes never cross into lanes going the other way.
+//
+// Lanes closed by road works or a merge (roadworks.js) are stopped obstacles
+// like any other: drivers brake for them, merge out in time and keep to the
+// speed limit through the works.
+//
+// Speed comes from a car-following model (the Intelligent Driver Model): each
+// car heads for its desired speed but keeps a time gap to whatever is ahead in
+// its lane and brakes for it, so slow trucks collect platoons behind them. In
+// rain, snow and fog (world.conditions, see weather.js) everyone drives slower
+// and leaves bigger gaps.
+//
+// Headless like the rest of the simulation: every decision draws from
+// world.random. The lane change itself (isChangingLane / targetLaneX) is
+// moved along by updateTraffic in simulation.js.
+
+import { closuresOf, speedLimitAt } from './roadworks.js';
+
+// Per personality:
+//   share           of all traffic drivers (emergency vehicles always get `emergency`)
+//   signalTime      seconds signalling before moving over
+//   gapAhead/Behind bumper gaps (units) wanted in the new lane
+//   overtakeMargin  how much slower (units/s) the car ahead must be to bother
+//   patience        seconds between looks around, and how long to wait on a signal
+//   laneSpeed       sideways speed while changing lanes, units/s
+//   cutIn           chance to cut in front of the player when the chance comes
+//   headway         seconds of time gap kept to the car ahead
+//   minGap          bumper gap (units) kept when standing still
+export const PERSONALITIES = {
+    cautious: { share: 0.3, signalTime: 1.6, gapAhead: 20, gapBehind: 25, overtakeMargin: 3, patience: 4, laneSpeed: 4, cutIn: 0, headway: 1.8, minGap: 3 },
+    normal: { share: 0.5, signalTime: 1.0, gapAhead: 12, gapBehind: 15, overtakeMargin: 1.5, patience: 2.5, laneSpeed: 6, cutIn: 0.05, headway: 1.3, minGap: 2 },
+    aggressive: { share: 0.2, signalTime: 0.4, gapAhead: 5, gapBehind: 6, overtakeMargin: 0.5, patience: 1, laneSpeed: 9, cutIn: 0.35, headway: 0.8, minGap: 1 },
+    emergency: { share: 0, signalTime: 0.3, gapAhead: 5, gapBehind: 4, overtakeMargin: 5, patience: 1.5, laneSpeed: 9, cutIn: 0, headway: 0.6, minGap: 2 },
+};
+
+// What the vehicle can do, units/s²: `accel` flat out, `decel` braking comfortably
+const PERFORMANCE = {
+    car: { accel: 3, decel: 5 },
+    truck: { accel: 1.5, decel: 3.5 },
+    police: { accel: 6, decel: 8 },
+    ambulance: { accel: 4, decel: 6 },
+    firetruck: { accel: 3, decel: 5 },
+};
+
+const LOOKAHEAD = 30; // How far ahead (bumper to bumper) a driver cares about slower cars
+const IN_LANE = 1.5; // Max distance from a lane's centre to count as in it
+const CLOSING_TIME = 2; // Seconds of closing speed added to the gap behind
+const CUT_IN_RANGE = 30; // How far ahead of the player a car may cut in
+const CUT_IN_GAP = 4; // Bumper gap left to the player when cutting in
+const CUT_IN_TIME = 0.5; // Seconds of the player's closing speed added to that
+const STOPPED = 1; // units/s; a car ahead slower than this is an obstacle to swerve around
+const SWERVE_SIGNAL = 0.2; // Seconds signalling before swerving around an obstacle
+const YIELD_RANGE = 60; // Bumper gap to an emergency vehicle behind that makes drivers pull over
+const YIELD_REACTION = 0.5; // Seconds to notice the siren
+const MAX_BRAKE = 12; // units/s², emergency stop
+const BRAKE_LIGHT = 1; // Deceleration (units/s²) that lights the brake lights
+
+export function createDriver(random) {
+    let roll = random();
+    for (const [name, personality] of Object.entries(PERSONALITIES)) {
+        roll -= personality.share;
+        if (roll < 0) return name;
+    }
+    return 'normal';
+}
+
+// Everything on the road as { body, x, z, width, length, speed, direction, target, emergency },
+// the player and lane closures included, sorted along the road. Width and length are what the
+// car covers across and along the road, turned as it is (a car spun out sideways blocks more of
+// its lane). `target` is the lane x a car is signalling for or moving to. Built once a step
+// (updateTraffic in simulation.js), so looking around only walks the few users nearby however
+// dense the traffic gets; maxLength and maxSpeed bound how far that walk has to go.
+export function indexRoadUsers(world) {
+    const { player } = world;
+    const sorted = world.traffic.map(car => ({
+        body: car,
+        x: car.x,
+        z: car.z,
+        width: Math.abs(Math.cos(car.yaw)) * car.width + Math.abs(Math.sin(car.yaw)) * car.length,
+        length: Math.abs(Math.cos(car.yaw)) * car.length + Math.abs(Math.sin(car.yaw)) * car.width,
+        speed: car.speed,
+        direction: car.direction,
+        target: car.signal || car.isChangingLane ? car.targetLaneX : null,
+        emergency: car.emergency,
+    }));
+    sorted.push({
+        body: player, x: player.x, z: player.z, width: player.width, length: player.length, speed: player.forwardSpeed, direction: 1, target: null, emergency: false,
+    });
+    closuresOf(world).forEach(closure => sorted.push({
+        body: closure, x: closure.x, z: closure.z, width: closure.width, length: closure.length, speed: 0, direction: 1, target: null, emergency: false,
+    }));
+    sorted.sort((a, b) => a.z - b.z);
+    return {
+        sorted,
+        maxLength: Math.max(...sorted.map(other => other.length)),
+        maxSpeed: Math.max(...sorted.map(other => other.speed)),
+    };
+}
+
+// Walk the road users from z one way along the road (-1 towards -z, 1 towards +z),
+// nearest first, and return the first one `found` accepts. Gives up past `range`.
+function scan(users, z, way, range, found) {
+    const { sorted } = users;
+    let lo = 0;
+    let hi = sorted.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (sorted[mid].z < z) lo = mid + 1;
+        else hi = mid;
+    }
+    for (let i = way < 0 ? lo - 1 : lo; i >= 0 && i < sorted.length; i += way) {
+        if (Math.abs(sorted[i].z - z) > range) return null;
+        if (found(sorted[i])) return sorted[i];
+    }
+    return null;
+}
+
+// Gap between two bodies along the road, bumper to bumper
+function bumperGap(a, b) {
+    return Math.abs(a.z - b.z) - (a.length + b.length) / 2;
+}
+
+// The speed a driver would like to go at in this weather
+function cruiseOf(world, car) {
+    return car.desiredSpeed * world.conditions.traffic;
+}
+
+// Is there room for `car` in the lane at laneX? Nobody alongside, nobody ahead
+// closer than the driver likes and nobody behind closing in too fast. When
+// cutting in, the player only gets a short gap.
+function gapClear(world, users, car, laneX, personality, cutIn) {
+    const inLane = other => other.body !== car && (Math.abs(other.x - laneX) <= IN_LANE || other.target === laneX);
+    const reach = (car.length + users.maxLength) / 2;
+
+    const tooCloseAhead = other => inLane(other) && bumperGap(car, other) < personality.gapAhead;
+    if (scan(users, car.z, -1, personality.gapAhead + reach, tooCloseAhead)) return false;
+
+    const tooCloseBehind = other => {
+        if (!inLane(other)) return false;
+        const closing = Math.max(0, other.speed - car.speed);
+        if (cutIn && other.body === world.player) return bumperGap(car, other) < CUT_IN_GAP + closing * CUT_IN_TIME;
+        return bumperGap(car, other) < personality.gapBehind + closing * CLOSING_TIME;
+    };
+    const closing = Math.max(0, users.maxSpeed - car.speed);
+    return !scan(users, car.z, 1, personality.gapBehind + closing * CLOSING_TIME + reach, tooCloseBehind);
+}
+
+// Nearest thing ahead in the car's lane within LOOKAHEAD, or null
+function leaderOf(users, car, laneX) {
+    return scan(users, car.z, -1, LOOKAHEAD + (car.length + users.maxLength) / 2, other => {
+        return other.body !== car && Math.abs(other.x - laneX) <= IN_LANE && bumperGap(car, other) <= LOOKAHEAD;
+    });
+}
+
+// Is an emergency vehicle coming up behind this car in the lane at laneX?
+function emergencyBehind(users, car, laneX) {
+    return Boolean(scan(users, car.z, 1, YIELD_RANGE + (car.length + users.maxLength) / 2, other => {
+        return other.emergency && other.body !== car && other.z > car.z &&
+            Math.abs(other.x - laneX) < IN_LANE && bumperGap(car, other) < YIELD_RANGE;
+    }));
+}
+
+// Where this driver would like to go: { x, cutIn, swerve } or null to stay put
+function chooseLane(world, users, car, lane, personality) {
+    const { player, random } = world;
+    const { lanes, laneDirections } = world.config;
+    const sameWay = next => laneDirections[next] === laneDirections[lane];
+
+    // Yield: pull over for an emergency vehicle coming up behind, right first.
+    // No room? Stay put rather than overtake into its way.
+    if (!car.emergency && emergencyBehind(users, car, lanes[lane])) {
+        for (const next of [lane + 1, lane - 1]) {
+            if (next < 0 || next >= lanes.length || !sameWay(next)) continue;
+            if (gapClear(world, users, car, lanes[next], personality, false)) return { x: lanes[next], cutIn: false, swerve: true };
+        }
+        return null;
+    }
+
+    // Cut in: the player is coming up fast in the next lane, pull out in front of them
+    const playerLane = lanes.findIndex(x => Math.abs(player.x - x) <= IN_LANE);
+    if (playerLane >= 0 && Math.abs(playerLane - lane) === 1 && sameWay(playerLane) &&
+        car.z < -car.length && car.z > -CUT_IN_RANGE && player.forwardSpeed > car.speed &&
+        random() < personality.cutIn) {
+        return { x: lanes[playerLane], cutIn: true, swerve: false };
+    }
+
+    // Overtake: stuck behind something slower than we'd like, try the left lane first, then
+    // the right. Something stopped in the lane (a spun-out car) is swerved around in a hurry.
+    const leader = leaderOf(users, car, lanes[lane]);
+    if (!leader || leader.speed > cruiseOf(world, car) - personality.overtakeMargin) return null;
+    const swerve = leader.speed < STOPPED;
+    for (const next of [lane - 1, lane + 1]) {
+        if (next < 0 || next >= lanes.length || !sameWay(next)) continue;
+        if (gapClear(world, users, car, lanes[next], personality, false)) return { x: lanes[next], cutIn: false, swerve };
+    }
+    return null;
+}
+
+// Think, signal and start lane changes. `lane` is the index of the lane the car is in,
+// `users` everyone on the road this step (indexRoadUsers).
+export function updateDriver(world, users, car, lane, dt) {
+    if (car.isChangingLane) return;
+    const personality = PERSONALITIES[car.driver];
+
+    if (car.signal) {
+        car.signalTimer -= dt;
+        if (car.signalTimer > 0) return;
+        // Look again before going, the gap may have closed while signalling
+        if (gapClear(world, users, car, car.targetLaneX, personality, car.cutIn)) {
+            car.isChangingLane = true;
+            car.laneSpeed = personality.laneSpeed;
+        } else if (car.signalTimer < -personality.patience) {
+            // Gave up waiting
+            car.signal = 0;
+            car.targetLaneX = world.config.lanes[lane];
+        }
+        return;
+    }
+
+    car.thinkTimer -= dt;
+    if (!car.emergency && emergencyBehind(users, car, world.config.lanes[lane])) {
+        car.thinkTimer = Math.min(car.thinkTimer, YIELD_REACTION); // Siren in the mirror
+    }
+    if (car.thinkTimer > 0) return;
+    car.thinkTimer = personality.patience * (0.5 + world.random());
+
+    const choice = chooseLane(world, users, car, lane, personality);
+    if (!choice) return;
+    car.signal = Math.sign(choice.x - car.x); // -1 left, 1 right
+    car.signalTimer = choice.swerve ? Math.min(SWERVE_SIGNAL, personality.signalTime) : personality.signalTime;
+    car.targetLaneX = choice.x;
+    car.cutIn = choice.cutIn;
+}
+
+// Nearest thing ahead going the same way that the car would run into: anything
+// overlapping it sideways, and while changing lanes anything in the lane it is
+// moving to. Ahead is -z for traffic going with the player, +z for oncoming.
+function vehicleAhead(users, car) {
+    const paths = car.isChangingLane ? [car.x, car.targetLaneX] : [car.x];
+    return scan(users, car.z, -car.direction, Infinity, other => {
+        if (other.body === car || other.direction !== car.direction || other.z === car.z) return false;
+        const reach = (car.width + other.width) / 2;
+        return paths.some(x => Math.abs(other.x - x) < reach);
+    });
+}
+
+// Car following: head for the desired speed (no faster than the limit, unless
+// on a call, nor the weather allows), keep the time gap to the car ahead and
+// brake harder the faster we close on it. Sets car.braking for the brake lights.
+export function updateSpeed(world, users, car, dt) {
+    const personality = PERSONALITIES[car.driver];
+    const { accel, decel } = PERFORMANCE[car.type];
+    const limit = car.emergency ? null : speedLimitAt(world, car.z);
+    const cruise = cruiseOf(world, car);
+    const desired = limit ? Math.min(cruise, limit) : cruise;
+    const v = car.speed;
+    let a = accel * (1 - (v / desired) ** 4);
+
+    const leader = vehicleAhead(users, car);
+    if (leader) {
+        const gap = Math.max(0.1, bumperGap(car, leader));
+        const wanted = (personality.minGap + v * personality.headway) * world.conditions.headway + v * (v - leader.speed) / (2 * Math.sqrt(accel * decel));
+        a -= accel * (Math.max(0, wanted) / gap) ** 2;
+    }
+
+    a = Math.max(-MAX_BRAKE, a);
+    car.speed = Math.max(0, v + a * dt);
+    car.braking = a < -BRAKE_LIGHT;
+}
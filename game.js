@@ -1,21 +1,38 @@
 import * as THREE from 'three';
 import { OBJLoader } from './lib/OBJLoader.js';
 import { MTLLoader } from './lib/MTLLoader.js';
+import { SIM_CONFIG, FIXED_DT, MODES, EMERGENCY_TYPES, TRAFFIC_TYPES, createWorld, stepWorld, honk } from './simulation.js';
+import { MAX_WANTED, SPEED_LIMIT, EVADE_DISTANCE } from './pursuit.js';
+import { roadLayout } from './road.js';
+import { createTrackPath, pathAt, trimPath, rebasePath } from './track.js';
+import { closuresOf } from './roadworks.js';
+import { BIOMES, BIOME_TYPES, createBiomePlan, biomeAt } from './biomes.js';
+import { TIME_OPTIONS, createDayClock, timeOfDay, daylightAt } from './daylight.js';
+import { WEATHER, weatherAt } from './weather.js';
+import { CARS, CAR_TYPES, DEFAULT_CAR, getCar, timeToSpeed } from './cars.js';
+import { ZONES, MAX_HEALTH, contactZone } from './damage.js';
+import { boxOf, corners } from './collision.js';
+import { CRASH_DURATION } from './crash.js';
+import { createRng, deriveRng, parseSeed, randomSeed } from './rng.js';
+import { createRecorder, createReplayReader, serializeReplay, parseReplay } from './replay.js';
+import { loadGhost, saveGhost, offerGhost, createGhostRunner } from './ghost.js';
+import {
+    loadLeaderboard, addEntry, filterEntries, exportLeaderboard, importLeaderboard,
+    loadPlayerName, savePlayerName
+} from './leaderboard.js';
 
 
 // --- CONFIGURATION ---
+// Gameplay tuning (speeds, lanes, spawn rates) lives in simulation.js, the
+// road layout (lanes, widths) in road.js. Each run lays the road out for its mode.
 const CONFIG = {
-    roadWidth: 14,
-    roadLength: 200, // Visual length of road segment
-    laneCount: 3,
-    startSpeed: 30, // Units per second
-    maxSpeed: 110,
-    acceleration: 6,
-    lateralSpeed: 15,
+    ...SIM_CONFIG,
+    ...roadLayout(SIM_CONFIG),
+    roadLength: 200, // The road texture repeats 10 times over this length
     cameraOffset: new THREE.Vector3(0, 5, 10),
     cameraLookAt: new THREE.Vector3(0, 0, -5),
     fogDensity: 0.015,
-    trafficSpawnRate: 0.8, // Increased traffic density
+    dayLength: 240, // Seconds for a whole day and night when the time of day runs
 };
 
 const CAMERA_VIEWS = [
@@ -24,21 +41,61 @@ const CAMERA_VIEWS = [
     { name: 'TopDown', offset: new THREE.Vector3(0, 30, 5), lookAtOffset: new THREE.Vector3(0, 0, -5) },
     { name: 'Side', offset: new THREE.Vector3(-15, 3, 5), lookAtOffset: new THREE.Vector3(0, 0, -10) }
 ];
+const cameraTurn = new THREE.Euler(); // Camera offsets turn with the car and tilt with the road
+
+// Garage choice survives reloads
+const SELECTED_CAR_KEY = 'highwayRacer.selectedCar';
+
+function loadSelectedCar() {
+    const saved = globalThis.localStorage && localStorage.getItem(SELECTED_CAR_KEY);
+    return CARS[saved] ? saved : DEFAULT_CAR;
+}
+
+// ... and so does the game mode
+const SELECTED_MODE_KEY = 'highwayRacer.mode';
+
+function loadSelectedMode() {
+    const saved = globalThis.localStorage && localStorage.getItem(SELECTED_MODE_KEY);
+    return MODES.includes(saved) ? saved : MODES[0];
+}
+
+// ... and the scenery: one biome for the whole run, or null for a mix drawn from the seed
+const SELECTED_BIOME_KEY = 'highwayRacer.biome';
+
+function loadSelectedBiome() {
+    const saved = globalThis.localStorage && localStorage.getItem(SELECTED_BIOME_KEY);
+    return BIOMES[saved] ? saved : null;
+}
+
+// ... and the time of day
+const SELECTED_TIME_KEY = 'highwayRacer.timeOfDay';
+
+function loadSelectedTime() {
+    const saved = globalThis.localStorage && localStorage.getItem(SELECTED_TIME_KEY);
+    return TIME_OPTIONS.includes(saved) ? saved : TIME_OPTIONS[0];
+}
 
 // --- STATE ---
+// App/UI state only. Everything the simulation owns (speed, score, traffic)
+// lives in `world`, see simulation.js
 let state = {
     isPlaying: false,
-    speed: 0,
-    score: 0,
-    timeSinceLastSpawn: 0,
-    lanes: [-3.5, 0, 3.5], // x positions for 3 lanes
     keys: { left: false, right: false, up: false, down: false, horn: false },
     gameOver: false,
-    distanceTraveled: 0,
-    selectedCar: 'toyota',
+    selectedCar: loadSelectedCar(),
+    mode: loadSelectedMode(),
+    biome: loadSelectedBiome(),
+    timeOfDay: loadSelectedTime(),
     cameraIndex: 0
 };
 
+// --- SEED ---
+// ?seed=<number or text> pins every run to that seed so it can be replayed
+// exactly; without it each run gets a fresh one.
+const urlSeed = parseSeed(new URLSearchParams(window.location.search).get('seed'));
+let runSeed = urlSeed ?? randomSeed();
+let fxRandom = deriveRng(runSeed, 'fx'); // Particles, camera shake
+
 // --- SCENE SETUP ---
 const canvas = document.querySelector('#game-canvas');
 const renderer = new THREE.WebGLRenderer({ canvas, antialias: true, alpha: false });
@@ -80,19 +137,17 @@ function createEnvironment() {
     pmremGenerator.dispose();
 }
 createEnvironment();
-const isNight = false; // Set to true for night mode
-
-const skyColor = isNight ? 0x0a0a12 : 0x87CEEB;
-scene.background = new THREE.Color(skyColor);
-scene.fog = new THREE.FogExp2(skyColor, CONFIG.fogDensity);
+// Sky, fog and the lights below follow the biome and the time of day, see updateSky and updateDaylight
+scene.background = new THREE.Color(0x87CEEB);
+scene.fog = new THREE.FogExp2(0x87CEEB, CONFIG.fogDensity);
 
 const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 300);
 
 // --- LIGHTING ---
-const ambientLight = new THREE.AmbientLight(0xffffff, isNight ? 0.6 : 1.1);
+const ambientLight = new THREE.AmbientLight(0xffffff, 1.1);
 scene.add(ambientLight);
 
-const dirLight = new THREE.DirectionalLight(0xfffaed, isNight ? 1.2 : 1.5);
+const dirLight = new THREE.DirectionalLight(0xfffaed, 1.5);
 dirLight.position.set(20, 50, 20);
 dirLight.castShadow = true;
 dirLight.shadow.mapSize.width = 2048;
@@ -121,7 +176,10 @@ scene.add(topLight);
 
 // --- ASSETS GENERATION ---
 // Helper to create simple textures procedurally to avoid external dependencies failing
-function createRoadTexture() {
+// Markings for a road laid out as `layout` (see road.js): edge lines at the
+// outer lanes, a dashed divider between lanes going the same way and a solid
+// double line between the two ways
+function createRoadTexture(layout) {
     const size = 512;
     const canvas = document.createElement('canvas');
     canvas.width = size;
@@ -132,35 +190,46 @@ function createRoadTexture() {
     ctx.fillStyle = '#2a2a2a';
     ctx.fillRect(0, 0, size, size);
 
-    // Noise (asphalt grain)
+    // Noise (asphalt grain), same grain on every load
+    const random = createRng(2024);
     for (let i = 0; i < 5000; i++) {
-        ctx.fillStyle = Math.random() > 0.5 ? '#333' : '#222';
-        ctx.fillRect(Math.random() * size, Math.random() * size, 2, 2);
+        ctx.fillStyle = random() > 0.5 ? '#333' : '#222';
+        ctx.fillRect(random() * size, random() * size, 2, 2);
     }
 
     // Lane lines
-    ctx.fillStyle = '#ffffff';
-    // Center dashed lines
-    // We want 3 lanes, so dividers at 1/3 and 2/3
     const lineWidth = 10;
     const dashLen = 60;
     const gapLen = 60;
 
-    // Draw dashed lines for lane markers
-    // Lane 1-2 divider
-    for (let y = 0; y < size; y += (dashLen + gapLen)) {
-        ctx.fillRect(size / 3 - lineWidth / 2, y, lineWidth, dashLen);
-    }
-    // Lane 2-3 divider
-    for (let y = 0; y < size; y += (dashLen + gapLen)) {
-        ctx.fillRect((size / 3) * 2 - lineWidth / 2, y, lineWidth, dashLen);
+    // Canvas x of a road x. The texture is turned half around on the road, so
+    // the road's left is drawn on the right of the canvas.
+    const { lanes, laneDirections: directions, edge } = layout;
+    const laneWidth = lanes.length > 1 ? lanes[1] - lanes[0] : edge;
+    const canvasX = x => size * (1 - (x + edge) / (edge * 2));
+
+    // Dividers between neighbouring lanes
+    for (let i = 0; i < lanes.length - 1; i++) {
+        const x = canvasX(lanes[i] + laneWidth / 2);
+        if (directions[i] !== directions[i + 1]) {
+            ctx.fillStyle = '#ffcc00'; // Centre line: don't cross
+            ctx.fillRect(x - lineWidth * 1.5, 0, lineWidth, size);
+            ctx.fillRect(x + lineWidth * 0.5, 0, lineWidth, size);
+            continue;
+        }
+        ctx.fillStyle = '#ffffff';
+        for (let y = 0; y < size; y += (dashLen + gapLen)) {
+            ctx.fillRect(x - lineWidth / 2, y, lineWidth, dashLen);
+        }
     }
 
-    // Side lines (solid)
-    ctx.fillStyle = '#ffcc00'; // Yellow left line
-    ctx.fillRect(10, 0, lineWidth, size);
-    ctx.fillStyle = '#ffffff'; // White right line
-    ctx.fillRect(size - 20, 0, lineWidth, size);
+    // Side lines (solid) along the outer lanes, the shoulder beyond
+    const left = canvasX(lanes[0] - laneWidth / 2);
+    const right = canvasX(lanes[lanes.length - 1] + laneWidth / 2);
+    ctx.fillStyle = '#ffffff'; // White left line
+    ctx.fillRect(left - lineWidth, 0, lineWidth, size);
+    ctx.fillStyle = '#ffcc00'; // Yellow right line
+    ctx.fillRect(right, 0, lineWidth, size);
 
     const texture = new THREE.CanvasTexture(canvas);
     texture.wrapS = THREE.RepeatWrapping;
@@ -246,6 +315,7 @@ function createTruckMesh(color) {
     tl2.position.set(0.8, 1.5, 3.01); // Back Right cargo
     truckGroup.add(tl1);
     truckGroup.add(tl2);
+    truckGroup.userData.tailLights = tlMat;
 
     return truckGroup;
 }
@@ -254,20 +324,8 @@ function createTruckMesh(color) {
 
 // Player Car Generator with Styles
 function createPlayerCar(type) {
-    let color = 0xff0000;
-
-    // Configs
-    const config = {
-        ferrari: { color: 0xff0000, bodyW: 1.9, bodyH: 0.6, bodyL: 4.2, cabinW: 1.3, cabinH: 0.55 },
-        lamborghini: { color: 0xeebb00, bodyW: 2.0, bodyH: 0.5, bodyL: 4.3, cabinW: 1.2, cabinH: 0.5 },
-        bugatti: { color: 0x0077ff, bodyW: 2.1, bodyH: 0.7, bodyL: 4.4, cabinW: 1.4, cabinH: 0.6 },
-        bmw: { color: 0xdddddd, bodyW: 1.8, bodyH: 0.75, bodyL: 4.0, cabinW: 1.4, cabinH: 0.65 },
-        mercedes: { color: 0xaaaaaa, bodyW: 1.8, bodyH: 0.7, bodyL: 4.1, cabinW: 1.4, cabinH: 0.6 },
-        toyota: { color: 0xffffff, bodyW: 1.7, bodyH: 0.7, bodyL: 3.8, cabinW: 1.3, cabinH: 0.6 },
-        truck: { color: 0x00ff00, bodyW: 2.2, bodyH: 2.5, bodyL: 6.0, cabinW: 2.0, cabinH: 1.8 }
-    };
-
-    const c = config[type] || config.ferrari;
+    // Configs (see cars.js)
+    const c = getCar(type);
 
     const carGroup = new THREE.Group();
     carGroup.userData.type = 'player';
@@ -289,7 +347,7 @@ function createPlayerCar(type) {
     carGroup.add(cabin);
 
     // Spoiler for sports cars
-    if (type === 'ferrari' || type === 'lamborghini' || type === 'bugatti') {
+    if (c.spoiler) {
         const spoilerGeom = new THREE.BoxGeometry(c.bodyW, 0.1, 0.5);
         const spoiler = new THREE.Mesh(spoilerGeom, bodyMat);
         spoiler.position.set(0, 0.6 + c.bodyH / 2 + 0.2, 1.8);
@@ -334,6 +392,7 @@ function createPlayerCar(type) {
     tl2.position.set(0.5, 0.6 + c.bodyH / 2 - 0.2, c.bodyL / 2 + 0.01);
     carGroup.add(tl1);
     carGroup.add(tl2);
+    carGroup.userData.tailLights = tailLightMat;
 
     // Headlights (Visual)
     const hlGeom = new THREE.BoxGeometry(0.5, 0.2, 0.1);
@@ -464,6 +523,7 @@ function loadGameModel(name, objPath, mtlPath, targetLength, primaryColor) {
         if (!state.isPlaying && state.selectedCar === name) {
             spawnPlayer();
         }
+        renderGarage();
     };
 
     if (mtlPath) {
@@ -483,82 +543,539 @@ loadGameModel('truck', './untitled_trianglefaced.obj', './untitled_trianglefaced
 
 
 // --- OBJECTS ---
+// --- TRACK (visual) ---
+// The simulation keeps everything in road coordinates (x across, z along the
+// road from the player, the road dead straight); here they're bent onto the
+// track's centre line (track.js). Whatever moves on the road goes through
+// placeOnTrack every frame: moved to where its road position ends up and
+// turned with the road there, and on the road itself pitched up the hills and
+// leaned into the banked bends. The scene stays centred on the player, the
+// road under the car running along -Z.
+let trackPath = null; // Centre line of the run's track, set with the world
+let trackDistance = 0; // Where along it the player is this frame
+const trackView = { x: 0, y: 0, z: 0, heading: 0 }; // The centre line there
+const trackPoint = { x: 0, y: 0, z: 0, turn: 0, pitch: 0, bank: 0 };
+const trackEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+const trackQuat = new THREE.Quaternion();
+
+// The centre line's coordinates grow as the run goes on. Everything is placed
+// relative to the player, so moving its origin back under the player now and
+// then (a floating origin) changes nothing on screen and keeps them small.
+const REBASE_DISTANCE = 1000;
+
+function viewTrack(distance) {
+    trackDistance = distance;
+    trimPath(trackPath, distance - CHUNK_BEHIND - CHUNK_LENGTH * 2);
+    Object.assign(trackView, pathAt(trackPath, distance));
+    if (Math.hypot(trackView.x, trackView.z) > REBASE_DISTANCE) {
+        rebasePath(trackPath, trackView.x, trackView.z);
+        Object.assign(trackView, pathAt(trackPath, distance));
+    }
+}
+
+// Road position (x, y up from the road surface, s along the track) relative
+// to `frame`, a point on the centre line, turned so the road there runs along
+// -Z. Returns trackPoint (reused) with the turn, pitch and bank to give
+// whatever stands there; the roadside is level, only the road itself tilts.
+function trackToFrame(x, y, s, frame) {
+    const c = pathAt(trackPath, s);
+    const onRoad = Math.abs(x) <= roadEdge + 1;
+    const lean = Math.max(-roadEdge, Math.min(roadEdge, x)) * Math.sin(c.bank); // Outside of the bend up
+    const dx = c.x + x * Math.cos(c.heading) - frame.x;
+    const dz = c.z - x * Math.sin(c.heading) - frame.z;
+    const cos = Math.cos(frame.heading);
+    const sin = Math.sin(frame.heading);
+    trackPoint.x = dx * cos - dz * sin;
+    trackPoint.z = dx * sin + dz * cos;
+    trackPoint.y = c.y + lean + y - frame.y;
+    trackPoint.turn = c.heading - frame.heading;
+    trackPoint.pitch = onRoad ? Math.atan(c.grade) : 0;
+    trackPoint.bank = onRoad ? c.bank : 0;
+    return trackPoint;
+}
+
+// Scene position of road position (x, y, z)
+function trackToScene(x, y, z) {
+    return trackToFrame(x, y, trackDistance - z, trackView);
+}
+
+// Move `object` to `point` (from trackToFrame), turned with the road there on
+// top of `rotation` (its own, relative to the road)
+function setPlacement(object, point, rotation = object.quaternion) {
+    object.position.set(point.x, point.y, point.z);
+    trackQuat.setFromEuler(trackEuler.set(point.pitch, point.turn, point.bank));
+    object.quaternion.copy(rotation).premultiply(trackQuat);
+}
+
+function placeOnTrack(object, x, y, z, rotation) {
+    setPlacement(object, trackToScene(x, y, z), rotation);
+}
+
+// For things that stay put on the road: where they were built (position and
+// rotation relative to the road) is kept in userData.rest, `z` moves them along
+function placeRest(object, z) {
+    if (!object.userData.rest) {
+        object.userData.rest = { position: object.position.clone(), rotation: object.quaternion.clone() };
+    }
+    const rest = object.userData.rest;
+    placeOnTrack(object, rest.position.x, rest.position.y, rest.position.z + z, rest.rotation);
+}
+
+// Long things (road works, the train) bend with the road: each part placed on its own
+function layAlong(group, z) {
+    group.children.forEach(child => placeRest(child, z));
+}
+
 // Road
-const roadGeom = new THREE.PlaneGeometry(CONFIG.roadWidth, CONFIG.roadLength);
-const roadMat = new THREE.MeshStandardMaterial({ map: createRoadTexture(), roughness: 0.8 });
-const road = new THREE.Mesh(roadGeom, roadMat);
-road.rotation.x = -Math.PI / 2;
-road.receiveShadow = true;
-scene.add(road);
-
-// Environment (Grass/Ground)
-const groundGeom = new THREE.PlaneGeometry(200, 200);
-const groundMat = new THREE.MeshStandardMaterial({ color: isNight ? 0x154f30 : 0x4CAF50, roughness: 1 });
-const ground = new THREE.Mesh(groundGeom, groundMat);
-ground.rotation.x = -Math.PI / 2;
-ground.position.y = -0.1;
-ground.receiveShadow = true;
-scene.add(ground);
-
-// Environment Objects (Poles)
-const envObjects = [];
+const roadMat = new THREE.MeshStandardMaterial({ map: createRoadTexture(CONFIG), roughness: 0.8 });
+let roadEdge = CONFIG.edge; // x of the right-hand barrier; roadside things go beyond it
+let roadKey = layoutKey(CONFIG);
+
+// Environment (Grass/Ground) beyond the road edges, coloured by biome per vertex
+const groundMat = new THREE.MeshStandardMaterial({ color: 0xffffff, vertexColors: true, roughness: 1 });
+
+// Guardrails along both edges
+const railMat = new THREE.MeshStandardMaterial({ color: 0xb0b4b8, metalness: 0.7, roughness: 0.35, side: THREE.DoubleSide });
+
+function layoutKey(layout) {
+    return `${layout.lanes.join()}|${layout.laneDirections.join()}|${layout.edge}`;
+}
+
+// Re-lay the road (width and markings) when a run's layout differs from the last one's.
+// Call before the run's chunks are built, they lay the road out from roadEdge.
+function layRoad(layout) {
+    roadEdge = layout.edge;
+    if (roadKey === layoutKey(layout)) return;
+    roadKey = layoutKey(layout);
+    roadMat.map.dispose();
+    roadMat.map = createRoadTexture(layout);
+}
+
+// --- BIOMES (visual) ---
+// Which biome the road runs through where comes from biomePlan (biomes.js);
+// the chunks take their ground, props and buildings from it and the sky and
+// fog follow the biome under the player. Through a transition zone colours
+// and heights blend, and each prop or building is drawn from either biome,
+// the next one more often the further into the zone it is.
+let biomePlan = createBiomePlan(runSeed, state.biome);
+const biomeMix = new THREE.Color();
+
+// `pick(biome)` at the biome mix `at` (from biomeAt)
+function biomeValue(at, pick) {
+    return THREE.MathUtils.lerp(pick(BIOMES[at.type]), pick(BIOMES[at.next]), at.blend);
+}
+
+function biomeColor(at, pick, target = new THREE.Color()) {
+    return target.setHex(pick(BIOMES[at.type])).lerp(biomeMix.setHex(pick(BIOMES[at.next])), at.blend);
+}
+
+// The biome a prop or building at `at` comes from
+function biomeFor(at, random) {
+    return BIOMES[random() < at.blend ? at.next : at.type];
+}
+
+// Sky and fog of wherever the player is, greyed by the weather and tinted by the time of day
+const OVERCAST = 0x8c949c;
+
+function updateSky(distance) {
+    const at = biomeAt(biomePlan, distance);
+    const { fog } = world.conditions;
+    biomeColor(at, biome => biome.sky, scene.background)
+        .lerp(biomeMix.setHex(OVERCAST), Math.min(1, (fog - 1) / 2))
+        .lerp(biomeMix.setHex(daylight.tint), daylight.tintMix);
+    scene.fog.color.copy(scene.background);
+    hemiLight.color.copy(scene.background);
+    scene.fog.density = biomeValue(at, biome => biome.fogDensity) * fog;
+}
+
+// --- TIME OF DAY (visual) ---
+// The day clock (daylight.js) runs on simulation time, so a replay gets the
+// same light as the run. updateDaylight moves the sun (the moon after dark)
+// and sets the lights, then the windows, headlight beams and the player's
+// headlights come on as it gets dark.
+let dayClock = createDayClock(runSeed, state.timeOfDay);
+let daylight = daylightAt(dayClock.start);
+const SUN_DISTANCE = 55;
+
+// Traffic headlight beams on the road ahead, one shared material to fade them all
+const beamGeom = new THREE.PlaneGeometry(2.4, 12).rotateX(-Math.PI / 2).translate(0, 0.05, -6);
+const beamMat = new THREE.MeshBasicMaterial({ color: 0xfff2c0, transparent: true, opacity: 0, blending: THREE.AdditiveBlending, depthWrite: false });
+
+function updateDaylight(seconds) {
+    daylight = daylightAt(timeOfDay(dayClock, seconds, CONFIG.dayLength));
+    const up = daylight.sunY >= 0 ? 1 : -1; // The moon's across the sky from the sun
+    dirLight.position.set(daylight.sunX * up * SUN_DISTANCE, Math.max(0.2, daylight.sunY * up) * SUN_DISTANCE, 20);
+    dirLight.color.setHex(daylight.sun);
+    dirLight.intensity = daylight.sunLight;
+    ambientLight.intensity = daylight.ambient;
+    hemiLight.intensity = daylight.sky;
+    backLight.intensity = daylight.fill;
+    topLight.intensity = daylight.fill * 2;
+
+    const { lights } = daylight;
+    chunks.forEach(chunk => chunk.userData.windows.forEach(mat => { mat.opacity = 0.25 + lights * 0.65; }));
+    windowMat.emissiveIntensity = lights;
+    beamMat.opacity = lights * 0.35;
+    beamMat.visible = lights > 0;
+    if (playerCar) lightHeadlights(playerCar);
+}
+
+function lightHeadlights(car) {
+    const { headLight, beam, flashing } = car.userData;
+    headLight.intensity = flashing ? 200 : daylight.lights * 100;
+    beam.intensity = daylight.lights * 20;
+    beam.visible = daylight.lights > 0;
+}
+
+function addHeadlightBeam(mesh, type) {
+    const beam = new THREE.Mesh(beamGeom, beamMat);
+    beam.position.z = SIGNAL_LAMPS[type].front;
+    mesh.add(beam);
+}
+
+// --- WEATHER (visual) ---
+// The simulation decides the weather (world.conditions, see weather.js); here
+// it falls: rain streaks and snowflakes in a box around the player that the
+// road scrolls through, the road getting wet (shinier) or snowy, and drops on
+// the windscreen in the Hood camera. The road dries and thaws slowly after.
+const PRECIPITATION = 1500; // Drops or flakes at the heaviest
+const FALL_BOX = { x: 30, y: 25, near: 15, far: -60 }; // Around the player, they wrap inside it
+const RAIN_FALL = 30; // units/s
+const RAIN_STREAK = 0.8;
+const SNOW_FALL = 3;
+const DRY_RATE = 0.1; // 1/s, how fast the road dries out or the snow on it melts
+const WET_RATE = 0.5; // ... and gets wet or snowed on
+
+function createFall(kind) {
+    const drops = new Float32Array(PRECIPITATION * 3);
+    for (let i = 0; i < PRECIPITATION; i++) {
+        drops[i * 3] = (fxRandom() * 2 - 1) * FALL_BOX.x;
+        drops[i * 3 + 1] = fxRandom() * FALL_BOX.y;
+        drops[i * 3 + 2] = FALL_BOX.far + fxRandom() * (FALL_BOX.near - FALL_BOX.far);
+    }
+    const geometry = new THREE.BufferGeometry();
+    const perDrop = kind === 'rain' ? 2 : 1; // Rain drops are streaks (two points), flakes one
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(PRECIPITATION * 3 * perDrop), 3));
+    geometry.setDrawRange(0, 0);
+    const object = kind === 'rain'
+        ? new THREE.LineSegments(geometry, new THREE.LineBasicMaterial({ color: 0xaab4c8, transparent: true, opacity: 0.5 }))
+        : new THREE.Points(geometry, new THREE.PointsMaterial({ color: 0xffffff, size: 0.25, transparent: true, opacity: 0.9 }));
+    object.frustumCulled = false; // Moved every frame, the bounds would go stale
+    object.visible = false;
+    object.userData = { drops, perDrop };
+    scene.add(object);
+    return object;
+}
+
+const rainFall = createFall('rain');
+const snowFall = createFall('snow');
+const roadWeather = { wet: 0, snow: 0 }; // How wet and snowy the road looks, lagging the weather
+
+// Move the drops along (falling, and towards the camera as the road scrolls)
+// and show as many of them as it's coming down hard
+function updateFall(fall, amount, speed, dt, time) {
+    fall.visible = amount > 0.01;
+    if (!fall.visible) return;
+    const { drops, perDrop } = fall.userData;
+    const rain = fall === rainFall;
+    const count = Math.floor(PRECIPITATION * amount);
+    const positions = fall.geometry.attributes.position.array;
+    for (let i = 0; i < count; i++) {
+        const d = i * 3;
+        drops[d + 1] -= (rain ? RAIN_FALL : SNOW_FALL) * dt;
+        drops[d + 2] += speed * dt;
+        if (!rain) drops[d] += Math.sin(time + i) * dt; // Flakes drift
+        if (drops[d + 1] < 0) drops[d + 1] += FALL_BOX.y;
+        if (drops[d + 2] > FALL_BOX.near) drops[d + 2] -= FALL_BOX.near - FALL_BOX.far;
+
+        const p = i * 3 * perDrop;
+        positions[p] = drops[d];
+        positions[p + 1] = drops[d + 1];
+        positions[p + 2] = drops[d + 2];
+        if (rain) {
+            // Streak down and back, slanted by the speed
+            positions[p + 3] = drops[d];
+            positions[p + 4] = drops[d + 1] - RAIN_STREAK;
+            positions[p + 5] = drops[d + 2] + speed * RAIN_STREAK / RAIN_FALL;
+        }
+    }
+    fall.geometry.attributes.position.needsUpdate = true;
+    fall.geometry.setDrawRange(0, count * perDrop);
+}
+
+function updateWeather(world, dt) {
+    const { rain, snow } = world.conditions;
+    const speed = world.player.forwardSpeed;
+    updateFall(rainFall, rain, speed, dt, world.time);
+    updateFall(snowFall, snow, speed, dt, world.time);
+
+    // Wet asphalt is darker and shiny (it reflects scene.environment), snow pales it
+    ['wet', 'snow'].forEach(key => {
+        const target = key === 'wet' ? rain : snow;
+        const rate = target > roadWeather[key] ? WET_RATE : DRY_RATE;
+        roadWeather[key] += (target - roadWeather[key]) * Math.min(1, rate * dt);
+    });
+    roadMat.roughness = 0.8 - roadWeather.wet * 0.55;
+    roadMat.metalness = roadWeather.wet * 0.3;
+    roadMat.color.setScalar(1 - roadWeather.wet * 0.3);
+    roadMat.emissive.setScalar(roadWeather.snow * 0.35 * daylight.fill);
+
+    const hood = CAMERA_VIEWS[state.cameraIndex].name === 'Hood';
+    dropletsEl.style.opacity = hood ? Math.min(1, rain * 1.5) : 0;
+}
+
+// Drops on the windscreen, scattered once; the overlay fades in with the rain
+const dropletsEl = document.getElementById('droplets');
+for (let i = 0; i < 40; i++) {
+    const drop = document.createElement('span');
+    const size = 4 + fxRandom() * 14;
+    drop.style.left = `${fxRandom() * 100}%`;
+    drop.style.top = `${fxRandom() * 100}%`;
+    drop.style.width = `${size}px`;
+    drop.style.height = `${size * 1.2}px`;
+    drop.style.animationDelay = `${-fxRandom() * 6}s`;
+    dropletsEl.appendChild(drop);
+}
+
+// --- WORLD CHUNKS ---
+// The road and everything beside it come in chunks of CHUNK_LENGTH along the
+// track: the road, ground and guardrail strips, lamp posts, props and
+// buildings. Each is generated from the run seed and its index (its distance
+// along the road) alone, so the same seed shows the same scenery in the same
+// places. Chunks are built as they come within CHUNK_AHEAD of the player and
+// thrown away once they're CHUNK_BEHIND. Their geometry is laid out relative
+// to where they start on the centre line and stays as it is; each frame only
+// the chunk as a whole is moved to where that start is relative to the player.
+const CHUNK_LENGTH = 120; // Whole repeats of the road texture (one every CONFIG.roadLength / 10)
+const CHUNK_AHEAD = 300; // Past the fog
+const CHUNK_BEHIND = 40;
+const ROW_STEP = 4; // Between rows of the strips along the road
+const GROUND_WIDTH = 120; // Either side of the road
+const GROUND_NEAR = 30; // The biome's ground this far out from the road edge...
+const GROUND_FAR = 45; // ... then it turns into its far side (cliffs, the sea) by here
+const RAIL_HEIGHT = [0.35, 0.85]; // Guardrail bottom and top
+const POLE_SPACING = 30; // Spots for lamp posts, buildings and props along each side
+// The train's track runs along the left, TRAIN_OUT from the road edge. Nothing
+// is built or grows within TRAIN_CLEARANCE of it, so the train never runs
+// through the scenery.
+const TRAIN_SIDE = -1;
+const TRAIN_OUT = 13;
+const TRAIN_CLEARANCE = 3; // Either side of the track, the carriages are 3.5 wide
+const PROP_REACH = 3.5; // Furthest a prop spreads from its trunk (tree tops, palm fronds)
+const chunks = new Map(); // index -> group
+
 const poleGeom = new THREE.CylinderGeometry(0.2, 0.2, 8);
 const poleMat = new THREE.MeshStandardMaterial({ color: 0x555555 });
 const lightGeom = new THREE.BoxGeometry(2, 0.2, 0.5);
 const lightMat = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
 
-function spawnEnvObject(zPos) {
-    const poleLeft = new THREE.Mesh(poleGeom, poleMat);
-    poleLeft.position.set(-10, 4, zPos);
+// Strip along a chunk through `across` ([x, y] points across the road, or a
+// function giving them at distance s), a row every ROW_STEP. Points given as
+// [x, y, color] colour the strip's vertices.
+function createStrip(across, start, anchor, material) {
+    const rows = CHUNK_LENGTH / ROW_STEP + 1;
+    const positions = [];
+    const uvs = [];
+    const colors = [];
+    const index = [];
+    for (let r = 0; r < rows; r++) {
+        const s = start + r * ROW_STEP;
+        const row = typeof across === 'function' ? across(s) : across;
+        const cols = row.length;
+        row.forEach(([x, y, color], c) => {
+            const p = trackToFrame(x, y, s, anchor);
+            positions.push(p.x, p.y, p.z);
+            uvs.push(c / (cols - 1), r * ROW_STEP / CONFIG.roadLength);
+            if (color) colors.push(color.r, color.g, color.b);
+            if (r === rows - 1 || c === cols - 1) return;
+            const a = r * cols + c;
+            index.push(a, a + 1, a + cols, a + 1, a + cols + 1, a + cols);
+        });
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+    if (colors.length) geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
+    geometry.setIndex(index);
+    geometry.computeVertexNormals();
+    return new THREE.Mesh(geometry, material);
+}
+
+// Ground across the road at s: the biome's ground beside it, then its far
+// sides rising into cliffs or dropping into the sea. Snow settles on it all.
+const snowColor = new THREE.Color(0xeef3f8);
+const SNOW_COVER = 0.85;
+
+function groundRow(s) {
+    const edge = roadEdge;
+    const at = biomeAt(biomePlan, s);
+    const snow = weatherAt(world.weather, s).snow * SNOW_COVER; // Lying where it's snowing
+    const near = biomeColor(at, biome => biome.ground).lerp(snowColor, snow);
+    const [left, right] = ['left', 'right'].map(key => {
+        const far = biome => biome[key] || { color: biome.ground, rise: 0 };
+        const y = biomeValue(at, biome => far(biome).rise) - 0.1;
+        return { color: biomeColor(at, biome => far(biome).color).lerp(snowColor, y < -0.5 ? 0 : snow), y }; // Not on the sea
+    });
+    return [
+        [-edge - GROUND_WIDTH, left.y, left.color],
+        [-edge - GROUND_FAR, left.y, left.color],
+        [-edge - GROUND_NEAR, -0.1, near],
+        [-edge, -0.1, near],
+        [edge, -0.1, near],
+        [edge + GROUND_NEAR, -0.1, near],
+        [edge + GROUND_FAR, right.y, right.color],
+        [edge + GROUND_WIDTH, right.y, right.color],
+    ];
+}
 
-    const armLeft = new THREE.Mesh(lightGeom, lightMat);
-    armLeft.position.set(1, 4, 0); // Relative to pole
-    poleLeft.add(armLeft);
+// How far the ground `out` from the road edge on `side` has risen (or dropped)
+function groundHeight(at, side, out) {
+    const key = side < 0 ? 'left' : 'right';
+    const rise = biomeValue(at, biome => biome[key] ? biome[key].rise : 0);
+    return rise * Math.max(0, Math.min(1, (out - GROUND_NEAR) / (GROUND_FAR - GROUND_NEAR)));
+}
 
-    scene.add(poleLeft);
-    envObjects.push(poleLeft);
+// Would something `out` from the road edge on `side`, reaching `reach` either
+// side of that, be in the train's way?
+function onTrainTrack(side, out, reach) {
+    return side === TRAIN_SIDE && Math.abs(out - TRAIN_OUT) < TRAIN_CLEARANCE + reach;
+}
 
-    const poleRight = new THREE.Mesh(poleGeom, poleMat);
-    poleRight.position.set(10, 4, zPos);
+function buildChunk(index) {
+    const start = index * CHUNK_LENGTH;
+    const anchor = pathAt(trackPath, start);
+    const random = deriveRng(world.seed, `chunk:${index}`);
+    const edge = roadEdge;
+    const chunk = new THREE.Group();
+    const owned = []; // Geometry, materials and textures to dispose of with the chunk
+    const windows = []; // The towers' window materials, lit by updateDaylight
+
+    const road = createStrip([[-edge, 0], [edge, 0]], start, anchor, roadMat);
+    const ground = createStrip(groundRow, start, anchor, groundMat);
+    const rails = [-edge, edge].map(x => createStrip(RAIL_HEIGHT.map(y => [x, y]), start, anchor, railMat));
+    road.receiveShadow = true;
+    ground.receiveShadow = true;
+    rails.forEach(rail => { rail.castShadow = true; });
+    [road, ground, ...rails].forEach(strip => {
+        chunk.add(strip);
+        owned.push(strip.geometry);
+    });
 
-    const armRight = new THREE.Mesh(lightGeom, lightMat);
-    armRight.position.set(-1, 4, 0);
-    poleRight.add(armRight);
+    // Every spot on either side: a lamp post (its arm over the road), maybe
+    // a building further out and the biome's props
+    for (let s = start; s < start + CHUNK_LENGTH; s += POLE_SPACING) {
+        const at = biomeAt(biomePlan, s);
+        [-1, 1].forEach(side => {
+            const biome = biomeFor(at, random);
+            if (biome.lampPosts) {
+                const pole = new THREE.Mesh(poleGeom, poleMat);
+                const arm = new THREE.Mesh(lightGeom, lightMat);
+                arm.position.set(-side, 4, 0); // Relative to pole
+                pole.add(arm);
+                setPlacement(pole, trackToFrame(side * (edge + 3), 4, s, anchor));
+                chunk.add(pole);
+            }
 
-    scene.add(poleRight);
-    envObjects.push(poleRight);
+            const { style, chance } = biome.buildings;
+            if (random() < chance) {
+                const house = HOUSES[style];
+                const building = house ? createHouse(random, house, side) : createBuilding(random);
+                const [setback, spread] = house ? house.setback : [18, 20];
+                const half = building.userData.width / 2;
+                let out = setback + random() * spread;
+                if (onTrainTrack(side, out, half)) out = TRAIN_OUT + TRAIN_CLEARANCE + half; // Behind the track instead
+                setPlacement(building, trackToFrame(side * (edge + out), building.userData.height / 2, s - random() * 10, anchor));
+                chunk.add(building);
+                owned.push(...building.userData.owned);
+                if (building.userData.windows) windows.push(building.userData.windows);
+            }
 
-    // Buildings
-    if (Math.random() > 0.3) {
-        const buildingLeft = createBuilding();
-        buildingLeft.position.set(-25 - Math.random() * 20, buildingLeft.userData.height / 2, zPos + Math.random() * 10);
-        scene.add(buildingLeft);
-        envObjects.push(buildingLeft);
+            biome.props.forEach(({ kind, count, chance, near, far }) => {
+                for (let i = 0; i < count; i++) {
+                    if (random() >= chance) continue;
+                    const out = near + random() * (far - near);
+                    if (onTrainTrack(side, out, PROP_REACH)) continue;
+                    const prop = PROPS[kind](random);
+                    setPlacement(prop, trackToFrame(side * (edge + out), groundHeight(at, side, out), s + random() * POLE_SPACING, anchor));
+                    chunk.add(prop);
+                }
+            });
+        });
     }
 
-    if (Math.random() > 0.3) {
-        const buildingRight = createBuilding();
-        buildingRight.position.set(25 + Math.random() * 20, buildingRight.userData.height / 2, zPos + Math.random() * 10);
-        scene.add(buildingRight);
-        envObjects.push(buildingRight);
+    chunk.userData.start = start;
+    chunk.userData.owned = owned;
+    chunk.userData.windows = windows;
+    scene.add(chunk);
+    return chunk;
+}
+
+function disposeChunk(chunk) {
+    scene.remove(chunk);
+    chunk.userData.owned.forEach(resource => resource.dispose());
+}
+
+// Geometry, materials and textures of `object` and everything in it, for
+// parts built with their own (not the shared ones made once up here)
+function resourcesOf(object) {
+    const resources = new Set();
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        resources.add(child.geometry);
+        [].concat(child.material).forEach(material => {
+            resources.add(material);
+            if (material.map) resources.add(material.map);
+        });
+    });
+    return [...resources];
+}
+
+// Take a mesh out of the scene for good and free what it owns, like a chunk
+function disposeMesh(mesh) {
+    scene.remove(mesh);
+    mesh.userData.owned.forEach(resource => resource.dispose());
+}
+
+function clearChunks() {
+    chunks.forEach(disposeChunk);
+    chunks.clear();
+}
+
+// Build the chunks coming into range, drop the ones left behind and move
+// them all to where they are relative to the player
+function updateChunks() {
+    const first = Math.floor((trackDistance - CHUNK_BEHIND) / CHUNK_LENGTH);
+    const last = Math.floor((trackDistance + CHUNK_AHEAD) / CHUNK_LENGTH);
+    chunks.forEach((chunk, index) => {
+        if (index >= first && index <= last) return;
+        disposeChunk(chunk);
+        chunks.delete(index);
+    });
+    for (let index = first; index <= last; index++) {
+        if (!chunks.has(index)) chunks.set(index, buildChunk(index));
+        const chunk = chunks.get(index);
+        const p = trackToScene(0, 0, trackDistance - chunk.userData.start);
+        chunk.position.set(p.x, p.y, p.z);
+        chunk.rotation.set(0, p.turn, 0);
     }
 }
 
-function createBuilding() {
-    const height = 20 + Math.random() * 60;
-    const width = 10 + Math.random() * 15;
-    const depth = 10 + Math.random() * 15;
+function createBuilding(random) {
+    const height = 20 + random() * 60;
+    const width = 10 + random() * 15;
+    const depth = 10 + random() * 15;
 
     const geom = new THREE.BoxGeometry(width, height, depth);
-    // Dark building colors for night, varying greys/whites for day
-    const lightness = isNight ? 0.1 : (Math.random() * 0.4 + 0.4);
+    // Varying greys/whites, the lighting darkens them at night
+    const lightness = random() * 0.4 + 0.4;
     const mat = new THREE.MeshStandardMaterial({
-        color: new THREE.Color().setHSL(Math.random() * 0.1 + 0.6, 0.5, lightness),
+        color: new THREE.Color().setHSL(random() * 0.1 + 0.6, 0.5, lightness),
         roughness: 0.2
     });
 
     const building = new THREE.Mesh(geom, mat);
     building.userData.height = height;
+    building.userData.width = width;
 
     // Windows (Simple emissive planes)
     const windowsGeom = new THREE.PlaneGeometry(width * 0.8, height * 0.9);
@@ -569,9 +1086,9 @@ function createBuilding() {
     ctx.fillStyle = '#000'; ctx.fillRect(0, 0, 64, 128);
     ctx.fillStyle = '#ffaa00';
     for (let i = 0; i < 30; i++) {
-        if (Math.random() > 0.3) {
-            const x = Math.floor(Math.random() * 4) * 16 + 4;
-            const y = Math.floor(Math.random() * 8) * 16 + 4;
+        if (random() > 0.3) {
+            const x = Math.floor(random() * 4) * 16 + 4;
+            const y = Math.floor(random() * 8) * 16 + 4;
             ctx.fillRect(x, y, 8, 12);
         }
     }
@@ -586,7 +1103,7 @@ function createBuilding() {
     frontWin.position.z = depth / 2 + 0.1;
     building.add(frontWin);
 
-    if (Math.random() > 0.5) {
+    if (random() > 0.5) {
         const sideWin = new THREE.Mesh(windowsGeom, winMat);
         sideWin.rotation.y = Math.PI / 2;
         sideWin.position.x = width / 2 + 0.1;
@@ -594,38 +1111,162 @@ function createBuilding() {
         building.add(sideWin);
     }
 
+    building.userData.owned = [geom, mat, windowsGeom, tex, winMat];
+    building.userData.windows = winMat;
     return building;
 }
 
-// Side Train
-let train = null;
-function spawnTrain() {
-    if (train) return;
+// Smaller buildings for the other biomes (the towers are the city's). One box
+// for the walls, maybe a pitched roof and dark windows facing the road. They
+// share geometry and materials, so there's nothing for the chunk to dispose of.
+const HOUSES = {
+    adobe: { walls: [0xd6a972, 0xc8915c], roof: null, width: [6, 10], height: [3, 6], setback: [10, 14] },
+    cabin: { walls: [0x7a4b2a, 0x8f5e36], roof: 0x3b2a1a, width: [5, 8], height: [3, 4], setback: [8, 14] },
+    villa: { walls: [0xf3efe4, 0xe9dcc0], roof: 0xc0502a, width: [8, 12], height: [5, 8], setback: [10, 10] },
+};
+const houseGeom = new THREE.BoxGeometry(1, 1, 1);
+const roofGeom = new THREE.ConeGeometry(Math.SQRT1_2, 1, 4, 1).rotateY(Math.PI / 4); // Square base, 1 across
+const houseMats = new Map(); // color -> material
+const windowMat = new THREE.MeshStandardMaterial({ color: 0x1c232b, roughness: 0.3, emissive: 0xffc46b, emissiveIntensity: 0 }); // Lit after dark
+
+function houseMat(color) {
+    if (!houseMats.has(color)) houseMats.set(color, new THREE.MeshStandardMaterial({ color, roughness: 0.9 }));
+    return houseMats.get(color);
+}
+
+function createHouse(random, style, side) {
+    const between = ([min, max]) => min + random() * (max - min);
+    const width = between(style.width);
+    const depth = between(style.width);
+    const height = between(style.height);
+
+    const house = new THREE.Group();
+    const walls = new THREE.Mesh(houseGeom, houseMat(style.walls[Math.floor(random() * style.walls.length)]));
+    walls.scale.set(width, height, depth);
+    walls.castShadow = true;
+    house.add(walls);
+
+    if (style.roof !== null) {
+        const roof = new THREE.Mesh(roofGeom, houseMat(style.roof));
+        roof.scale.set(width + 0.6, height * 0.5, depth + 0.6);
+        roof.position.y = height * 0.75;
+        house.add(roof);
+    }
+
+    // A row of windows on the wall facing the road
+    const windows = Math.max(1, Math.floor(depth / 3));
+    for (let i = 0; i < windows; i++) {
+        const pane = new THREE.Mesh(houseGeom, windowMat);
+        pane.scale.set(0.1, 1.2, 1);
+        pane.position.set(-side * width / 2, height * 0.1, (i - (windows - 1) / 2) * depth / windows);
+        house.add(pane);
+    }
+
+    house.userData.height = height;
+    house.userData.width = width;
+    house.userData.owned = [];
+    return house;
+}
 
+// Roadside props by kind (see the biomes' props), standing on y = 0. Shared
+// geometry and materials like the houses.
+const propMat = color => new THREE.MeshStandardMaterial({ color, roughness: 0.9 });
+const trunkMat = propMat(0x6b4a2b);
+const pineMat = propMat(0x1f5a2e);
+const cactusMat = propMat(0x4f8a3c);
+const rockMat = propMat(0x8a8478);
+const frondMat = propMat(0x3f9a3a);
+const trunkGeom = new THREE.CylinderGeometry(0.25, 0.35, 1, 6).translate(0, 0.5, 0); // Base at 0, scaled to height
+const pineGeom = new THREE.ConeGeometry(2, 6, 7);
+const cactusGeom = new THREE.CylinderGeometry(0.4, 0.45, 1, 8);
+const rockGeom = new THREE.DodecahedronGeometry(1);
+const frondGeom = new THREE.BoxGeometry(0.6, 0.08, 3.2).translate(0, 0, 1.6); // Out from the crown
+
+const PROPS = {
+    tree: random => {
+        const tree = new THREE.Group();
+        const trunk = new THREE.Mesh(trunkGeom, trunkMat);
+        trunk.scale.y = 2;
+        const crown = new THREE.Mesh(pineGeom, pineMat);
+        crown.position.y = 5;
+        crown.castShadow = true;
+        tree.add(trunk, crown);
+        tree.scale.setScalar(0.8 + random() * 0.8);
+        return tree;
+    },
+    cactus: random => {
+        const cactus = new THREE.Group();
+        const height = 2 + random() * 3;
+        const stem = new THREE.Mesh(cactusGeom, cactusMat);
+        stem.scale.y = height;
+        stem.position.y = height / 2;
+        cactus.add(stem);
+        [-1, 1].forEach(side => {
+            if (random() < 0.4) return;
+            const y = height * (0.35 + random() * 0.3);
+            const elbow = new THREE.Mesh(cactusGeom, cactusMat);
+            elbow.scale.set(0.6, 0.9, 0.6);
+            elbow.rotation.z = Math.PI / 2;
+            elbow.position.set(side * 0.6, y, 0);
+            const arm = new THREE.Mesh(cactusGeom, cactusMat);
+            arm.scale.set(0.7, 1.4, 0.7);
+            arm.position.set(side * 1, y + 0.6, 0);
+            cactus.add(elbow, arm);
+        });
+        cactus.rotation.y = random() * Math.PI;
+        return cactus;
+    },
+    rock: random => {
+        const group = new THREE.Group();
+        const rock = new THREE.Mesh(rockGeom, rockMat);
+        rock.scale.set(1 + random() * 2, 0.6 + random() * 1.2, 1 + random() * 2);
+        rock.rotation.set(random() * Math.PI, random() * Math.PI, 0);
+        rock.position.y = rock.scale.y * 0.4; // Half sunk
+        rock.castShadow = true;
+        group.add(rock);
+        return group;
+    },
+    palm: random => {
+        const palm = new THREE.Group();
+        const height = 5 + random() * 3;
+        const lean = (random() - 0.5) * 0.4;
+        const trunk = new THREE.Mesh(trunkGeom, trunkMat);
+        trunk.scale.y = height;
+        trunk.rotation.z = lean;
+        const crown = new THREE.Group();
+        crown.position.set(-Math.sin(lean) * height, Math.cos(lean) * height, 0);
+        for (let i = 0; i < 7; i++) {
+            const frond = new THREE.Mesh(frondGeom, frondMat);
+            frond.rotation.set(0.35, (i / 7) * Math.PI * 2, 0, 'YXZ'); // Drooping
+            crown.add(frond);
+        }
+        palm.add(trunk, crown);
+        return palm;
+    },
+};
+
+// Side Train: carriages, so it bends with the track (laid with layAlong)
+const TRAIN_CARRIAGES = 8;
+const CARRIAGE_LENGTH = 24.5; // 200 long with the gaps
+
+function createTrainMesh() {
     const trainGroup = new THREE.Group();
-    const trainLen = 200;
-    const geom = new THREE.BoxGeometry(3.5, 4, trainLen);
+    const geom = new THREE.BoxGeometry(3.5, 4, CARRIAGE_LENGTH);
     const mat = new THREE.MeshStandardMaterial({ color: 0xffaa00, metalness: 0.8, roughness: 0.2 });
-    const mesh = new THREE.Mesh(geom, mat);
-    mesh.position.y = 2;
-    trainGroup.add(mesh);
-
     // Glow strip
-    const glowGeom = new THREE.BoxGeometry(3.6, 0.5, trainLen);
+    const glowGeom = new THREE.BoxGeometry(3.6, 0.5, CARRIAGE_LENGTH);
     const glowMat = new THREE.MeshBasicMaterial({ color: 0x00ffff });
-    const glow = new THREE.Mesh(glowGeom, glowMat);
-    glow.position.y = 2;
-    trainGroup.add(glow);
 
-    trainGroup.position.set(-20, 0, -200); // Start far ahead/behind
-    scene.add(trainGroup);
-    train = { mesh: trainGroup, speed: 120 }; // Very fast
+    for (let i = 0; i < TRAIN_CARRIAGES; i++) {
+        const carriage = new THREE.Group();
+        carriage.add(new THREE.Mesh(geom, mat));
+        carriage.add(new THREE.Mesh(glowGeom, glowMat));
+        carriage.position.set(TRAIN_SIDE * (roadEdge + TRAIN_OUT), 2, (i - (TRAIN_CARRIAGES - 1) / 2) * (CARRIAGE_LENGTH + 0.5));
+        trainGroup.add(carriage);
+    }
+    return trainGroup;
 }
 
-// Initial env spawn
-for (let i = 0; i < 10; i++) {
-    spawnEnvObject(-i * 30);
-}
 
 // Particles
 const particles = [];
@@ -641,136 +1282,714 @@ function spawnParticle(pos) {
     particles.push({ mesh: p, life: 1.0 });
 }
 
+// Loaded model when we have one, procedural car otherwise
+function createPlayerMesh(carType) {
+    if (models[carType]) {
+        return models[carType].clone();
+    }
+    return createPlayerCar(carType);
+}
+
+// Collision box for the simulation: the mesh's footprint, wheels and all.
+// Loaded models are measured just like the procedural cars.
+function measureHull(object) {
+    object.updateMatrixWorld(true);
+    const toObject = object.matrixWorld.clone().invert();
+    const box = new THREE.Box3();
+    object.traverse(child => {
+        if (!child.isMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        box.union(child.geometry.boundingBox.clone().applyMatrix4(toObject.clone().multiply(child.matrixWorld)));
+    });
+    const size = box.getSize(new THREE.Vector3());
+    const round = value => Math.round(value * 100) / 100;
+    return { width: round(size.x), length: round(size.z), height: round(box.max.y) };
+}
+
 // Player Car
 let playerCar; // Will be created on start
-function spawnPlayer() {
-    if (playerCar) scene.remove(playerCar);
-
-    const config = {
-        ferrari: { bodyW: 1.9, bodyL: 4.2 },
-        lamborghini: { bodyW: 2.0, bodyL: 4.3 },
-        bugatti: { bodyW: 2.1, bodyL: 4.4 },
-        bmw: { bodyW: 1.8, bodyL: 4.0 },
-        mercedes: { bodyW: 1.8, bodyL: 4.1 },
-        toyota: { bodyW: 1.7, bodyL: 3.8 },
-        truck: { bodyW: 2.2, bodyL: 6.0 }
-    };
+function spawnPlayer(carType = state.selectedCar) {
+    if (playerCar) {
+        scene.remove(playerCar);
+        disposeCarDamage(playerCar);
+    }
+
+    const c = getCar(carType);
+
+    // If the model was loaded, it already had material enhancement in loadGameModel
+    playerCar = createPlayerMesh(carType);
+
+    playerCar.userData.hull = measureHull(playerCar);
+
+    playerCar.position.y = 0;
+    playerCar.position.z = 0;
+    playerCar.rotation.order = 'YXZ'; // Heading first, then pitch and roll (matches the simulation)
+
+    // Headlights: the light that flashes ("dipar") and the real beam, both up
+    // as it gets dark (updateDaylight)
+    const headLight = new THREE.SpotLight(0xffffff, 1, 50, Math.PI / 4, 0.3, 1);
+    headLight.position.set(0, 1.5, -c.bodyL / 2);
+    headLight.target.position.set(0, 1, -c.bodyL / 2 - 20);
+    playerCar.add(headLight);
+    playerCar.add(headLight.target);
+    playerCar.userData.headLight = headLight;
+
+    const spotLight = new THREE.SpotLight(0xffffff);
+    spotLight.position.set(0, 2, -1);
+    spotLight.target.position.set(0, 0, -40);
+    spotLight.angle = 0.6;
+    spotLight.penumbra = 0.5;
+    spotLight.castShadow = true;
+    spotLight.distance = 100;
+    playerCar.add(spotLight);
+    playerCar.add(spotLight.target);
+    playerCar.userData.beam = spotLight;
+    lightHeadlights(playerCar);
+
+    prepareCarDamage(playerCar);
+    scene.add(playerCar);
+}
+
+// --- CAR DAMAGE (visual) ---
+// The simulation keeps damage per zone; here it is shown on the player mesh.
+// Big parts (body, cabin) get their vertices pushed in around the hit zone,
+// small loose ones (lights, spoiler, trim) break off as the zone gets worse.
+const DENT_DEPTH = 0.6; // How far a fully smashed zone is pushed in
+const debris = [];
+
+// Cheap repeatable noise from a position, so shared corners dent the same way
+function dentNoise(x, y, z) {
+    const n = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453;
+    return n - Math.floor(n);
+}
+
+function prepareCarDamage(car) {
+    car.updateMatrixWorld(true);
+    const toCar = car.matrixWorld.clone().invert();
+
+    // Wheels spin, so their meshes don't stay put in car space: leave them alone
+    const inWheels = new Set();
+    (car.userData.wheels || []).forEach(w => w.traverse(obj => inWheels.add(obj)));
+
+    const parts = [];
+    const bounds = new THREE.Box3();
+    car.traverse(obj => {
+        if (!obj.isMesh || inWheels.has(obj) || !obj.geometry.attributes.position) return;
+        const toCarSpace = toCar.clone().multiply(obj.matrixWorld);
+        obj.geometry.computeBoundingBox();
+        const box = obj.geometry.boundingBox.clone().applyMatrix4(toCarSpace);
+        bounds.union(box);
+        parts.push({ mesh: obj, box, toCarSpace, fromCarSpace: toCarSpace.clone().invert() });
+    });
+
+    const size = bounds.getSize(new THREE.Vector3());
+    const carVolume = size.x * size.y * size.z;
+    parts.forEach(part => {
+        const partSize = part.box.getSize(new THREE.Vector3());
+        const center = part.box.getCenter(new THREE.Vector3());
+        part.loose = partSize.x * partSize.y * partSize.z < carVolume * 0.02;
+        part.zone = contactZone(center.x, center.z, size.x / 2, size.z / 2);
+        if (part.loose) {
+            part.breaksAt = 0.4 + 0.5 * dentNoise(center.x, center.y, center.z);
+        } else {
+            // Loaded models share geometry between clones; dents must stay on this one
+            part.mesh.geometry = part.mesh.geometry.clone();
+            part.original = part.mesh.geometry.attributes.position.array.slice();
+        }
+    });
+
+    car.userData.damage = { parts, bounds, size, shown: { front: 0, rear: 0, left: 0, right: 0 } };
+}
+
+// Free the geometry prepareCarDamage cloned, once the car is replaced
+function disposeCarDamage(car) {
+    car.userData.damage.parts.forEach(part => {
+        if (!part.loose) part.mesh.geometry.dispose();
+    });
+}
+
+// How far a car-space point gets pushed in by each zone's damage
+function dentPoint(p, damage, bounds, size) {
+    const reachL = size.z / 2;
+    const reachW = size.x / 2;
+    const front = Math.max(0, 1 - (p.z - bounds.min.z) / reachL) * damage.front;
+    const rear = Math.max(0, 1 - (bounds.max.z - p.z) / reachL) * damage.rear;
+    const left = Math.max(0, 1 - (p.x - bounds.min.x) / reachW) * damage.left;
+    const right = Math.max(0, 1 - (bounds.max.x - p.x) / reachW) * damage.right;
+
+    const crumple = 0.5 + dentNoise(p.x, p.y, p.z);
+    p.z += (front - rear) * DENT_DEPTH * crumple;
+    p.x += (left - right) * DENT_DEPTH * 0.6 * crumple;
+    p.y -= (front + rear + left + right) * DENT_DEPTH * 0.3 * crumple;
+}
+
+function detachPart(part) {
+    const mesh = part.mesh;
+    mesh.updateMatrixWorld(true);
+    mesh.matrixWorld.decompose(mesh.position, mesh.quaternion, mesh.scale);
+    mesh.removeFromParent();
+    scene.add(mesh);
+
+    const out = part.zone === 'left' ? -1 : (part.zone === 'right' ? 1 : 0);
+    addDebris(
+        mesh,
+        new THREE.Vector3(out * 3 + (fxRandom() - 0.5) * 2, 3 + fxRandom() * 3, (part.zone === 'front' ? -2 : 2)),
+        new THREE.Vector3(fxRandom() * 10, fxRandom() * 10, fxRandom() * 10),
+        3
+    );
+}
 
-    const c = config[state.selectedCar] || config.ferrari;
+// Anything loose on the road: bounces, tumbles and gets left behind
+function addDebris(mesh, velocity, spin, life) {
+    if (!mesh.parent) scene.add(mesh);
+    debris.push({ mesh, velocity, spin, life });
+}
 
-    if (models[state.selectedCar]) {
-        playerCar = models[state.selectedCar].clone();
-        // Traverse and ensure standard materials are used for consistent look
-        playerCar.traverse(child => {
-            if (child.isMesh && child.material) {
-                // If the model was loaded, it already had material enhancement in loadGameModel
+// Bring the mesh in line with the simulation's damage. Cheap when nothing changed.
+function updateCarDamage(car, damage) {
+    const info = car.userData.damage;
+    if (!info || ZONES.every(zone => info.shown[zone] === damage[zone])) return;
+    ZONES.forEach(zone => { info.shown[zone] = damage[zone]; });
+
+    const p = new THREE.Vector3();
+    info.parts.forEach(part => {
+        if (part.detached) return;
+        if (part.loose) {
+            if (damage[part.zone] >= part.breaksAt) {
+                part.detached = true;
+                detachPart(part);
             }
+            return;
+        }
+
+        const position = part.mesh.geometry.attributes.position;
+        for (let i = 0; i < position.count; i++) {
+            p.fromArray(part.original, i * 3).applyMatrix4(part.toCarSpace);
+            dentPoint(p, damage, info.bounds, info.size);
+            p.applyMatrix4(part.fromCarSpace).toArray(position.array, i * 3);
+        }
+        position.needsUpdate = true;
+        part.mesh.geometry.computeBoundingSphere();
+    });
+}
+
+function updateDebris(dt, travelled) {
+    for (let i = debris.length - 1; i >= 0; i--) {
+        const d = debris[i];
+        d.life -= dt;
+        d.velocity.y -= 9.8 * dt;
+        d.mesh.position.addScaledVector(d.velocity, dt);
+        d.mesh.position.z += travelled; // Left behind on the road
+        d.mesh.rotation.x += d.spin.x * dt;
+        d.mesh.rotation.y += d.spin.y * dt;
+        d.mesh.rotation.z += d.spin.z * dt;
+        if (d.mesh.position.y < 0.05) {
+            d.mesh.position.y = 0.05;
+            d.velocity.y *= -0.3;
+            d.velocity.x *= 0.6;
+            d.spin.multiplyScalar(0.6);
+        }
+
+        if (d.life <= 0 || d.mesh.position.z > 30) {
+            scene.remove(d.mesh);
+            debris.splice(i, 1);
+        }
+    }
+}
+
+function clearDebris() {
+    debris.forEach(d => scene.remove(d.mesh));
+    debris.length = 0;
+    sparks.forEach(s => scene.remove(s.mesh));
+    sparks.length = 0;
+}
+
+// --- CRASH SEQUENCE (visual) ---
+// The simulation plays out the tumble (crash.js); on top of it we add slow
+// motion, glass and body debris, sparks and an orbiting camera. Space, Enter
+// or the SKIP button run the rest of the sequence straight through.
+const CRASH_ORBIT_RADIUS = 9;
+const glassGeom = new THREE.BoxGeometry(0.15, 0.02, 0.12);
+const glassMat = new THREE.MeshStandardMaterial({ color: 0x99ccff, transparent: true, opacity: 0.6, metalness: 0.9, roughness: 0.05 });
+const chunkGeom = new THREE.BoxGeometry(0.3, 0.08, 0.25);
+const chunkMats = new Map(); // Body panels in the car's paint, one material per colour for every crash
+const sparkGeom = new THREE.BoxGeometry(0.06, 0.06, 0.06);
+const sparkMat = new THREE.MeshBasicMaterial({ color: 0xffcc33, blending: THREE.AdditiveBlending, depthWrite: false });
+const sparks = [];
+let crashOrbit = 0;
+
+function scatter(force) {
+    return new THREE.Vector3((fxRandom() - 0.5) * force, fxRandom() * force * 0.6, (fxRandom() - 0.5) * force);
+}
+
+function spawnSparks(origin, count, force) {
+    for (let i = 0; i < count; i++) {
+        const mesh = new THREE.Mesh(sparkGeom, sparkMat);
+        mesh.position.copy(origin);
+        scene.add(mesh);
+        sparks.push({ mesh, velocity: scatter(force), life: 0.3 + fxRandom() * 0.4 });
+    }
+}
+
+function spawnCrashFx(point, speed, color) {
+    const { x, y, z } = trackToScene(point.x, 0.8, point.z);
+    const origin = new THREE.Vector3(x, y, z);
+    const force = Math.min(20, 4 + speed * 0.15);
+    if (!chunkMats.has(color)) chunkMats.set(color, new THREE.MeshStandardMaterial({ color, roughness: 0.3, metalness: 0.6 }));
+    const chunkMat = chunkMats.get(color);
+
+    for (let i = 0; i < 30; i++) {
+        const glass = i < 20; // Mostly glass, a few body panels
+        const mesh = new THREE.Mesh(glass ? glassGeom : chunkGeom, glass ? glassMat : chunkMat);
+        mesh.position.copy(origin);
+        addDebris(mesh, scatter(force), new THREE.Vector3(fxRandom() * 15, fxRandom() * 15, fxRandom() * 15), 4);
+    }
+    spawnSparks(origin, 40, force * 1.5);
+}
+
+function updateSparks(dt, travelled) {
+    for (let i = sparks.length - 1; i >= 0; i--) {
+        const s = sparks[i];
+        s.life -= dt;
+        s.velocity.y -= 9.8 * dt;
+        s.mesh.position.addScaledVector(s.velocity, dt);
+        s.mesh.position.z += travelled;
+        s.mesh.scale.setScalar(Math.max(0.1, s.life * 2));
+        if (s.life <= 0) {
+            scene.remove(s.mesh);
+            sparks.splice(i, 1);
+        }
+    }
+}
+
+// Fast-forward the simulation to the end of the sequence. Nothing in it
+// depends on input, so this lands on the same final state as watching it.
+// Capped at the length of the sequence: should a step keep failing, the run
+// is ended there rather than the loop spinning forever.
+function skipCrash() {
+    if (!state.isPlaying || !world.crash) return;
+    for (let ticks = Math.ceil(CRASH_DURATION / FIXED_DT) + 1; ticks > 0 && state.isPlaying; ticks--) update(FIXED_DT);
+    if (state.isPlaying) gameOver();
+}
+
+spawnPlayer(); // Initial spawn for title screen
+
+// Simulation world, recreated on every start
+let world = createWorld({ seed: runSeed, car: state.selectedCar });
+trackPath = createTrackPath(world.track);
+viewTrack(0);
+updateChunks();
+updateDaylight(0);
+updateSky(0);
+
+// Traffic Meshes (one per car in world.traffic, keyed by id)
+const trafficMeshes = new Map();
+
+// Turn signals: amber lamps at each corner, lit while the driver signals
+const SIGNAL_BLINK = 0.7; // Seconds per on/off cycle
+const signalGeom = new THREE.BoxGeometry(0.15, 0.15, 0.1);
+const signalOffMat = new THREE.MeshBasicMaterial({ color: 0x553300 });
+const signalOnMat = new THREE.MeshBasicMaterial({ color: 0xffaa00 });
+// Lamp x, y and front / rear z for each traffic mesh, next to its head and tail lights
+const CAR_LAMPS = { x: 0.78, y: 0.55, front: -1.91, rear: 1.91 };
+const TRUCK_LAMPS = { x: 0.8, y: 0.95, front: -3.26, rear: 3.01 };
+const SIGNAL_LAMPS = { car: CAR_LAMPS, truck: TRUCK_LAMPS, police: CAR_LAMPS, ambulance: TRUCK_LAMPS, firetruck: TRUCK_LAMPS };
+
+function addTurnSignals(mesh, type) {
+    const lamps = SIGNAL_LAMPS[type];
+    mesh.userData.signals = { left: [], right: [] };
+    ['left', 'right'].forEach(side => {
+        const x = side === 'left' ? -lamps.x : lamps.x;
+        [lamps.front, lamps.rear].forEach(z => {
+            const lamp = new THREE.Mesh(signalGeom, signalOffMat);
+            lamp.position.set(x, lamps.y, z);
+            mesh.add(lamp);
+            mesh.userData.signals[side].push(lamp);
         });
+    });
+}
+
+// Tail lights glow dim while cruising and bright under braking
+const TAIL_LIGHT = 0x990000;
+const BRAKE_LIGHT = 0xff3030;
+
+function updateBrakeLights(mesh, braking) {
+    if (mesh.userData.tailLights) mesh.userData.tailLights.color.setHex(braking ? BRAKE_LIGHT : TAIL_LIGHT);
+}
+
+// Hazard lights (a spun-out car) blink both sides
+function updateTurnSignals(mesh, car, time) {
+    const lit = time % SIGNAL_BLINK < SIGNAL_BLINK / 2;
+    const left = lit && (car.signal < 0 || car.hazards);
+    const right = lit && (car.signal > 0 || car.hazards);
+    mesh.userData.signals.left.forEach(lamp => lamp.material = left ? signalOnMat : signalOffMat);
+    mesh.userData.signals.right.forEach(lamp => lamp.material = right ? signalOnMat : signalOffMat);
+}
+
+// Emergency vehicles: a police car and two truck bodies, each with a light bar
+// that flashes red and blue
+const LIGHT_BAR_FLASH = 0.15; // Seconds per flash
+const lightBarGeom = new THREE.BoxGeometry(0.5, 0.15, 0.3);
+const lightBarMats = {
+    red: [new THREE.MeshBasicMaterial({ color: 0x440000 }), new THREE.MeshBasicMaterial({ color: 0xff0000 })],
+    blue: [new THREE.MeshBasicMaterial({ color: 0x000f44 }), new THREE.MeshBasicMaterial({ color: 0x0044ff })],
+};
+
+function createEmergencyMesh(type) {
+    let mesh;
+    let barY;
+    let barZ;
+    if (type === 'police') {
+        mesh = createPlayerCar('toyota');
+        mesh.children[0].material.color.setHex(0x1a2a6c);
+        barY = 1.62; // On the cabin roof
+        barZ = -0.2;
     } else {
-        playerCar = createPlayerCar(state.selectedCar);
+        const red = 0xcc1111;
+        mesh = createTruckMesh(type === 'ambulance' ? 0xffffff : red);
+        barY = 2.12; // On the cab roof
+        barZ = -2.5;
+        if (type === 'ambulance') {
+            const stripe = new THREE.Mesh(new THREE.BoxGeometry(2.02, 0.3, 6.02), new THREE.MeshBasicMaterial({ color: red }));
+            stripe.position.y = 1.2;
+            mesh.add(stripe);
+        } else {
+            mesh.children[1].material.color.setHex(red); // Cab
+            const ladder = new THREE.Mesh(new THREE.BoxGeometry(0.6, 0.15, 5.5), new THREE.MeshStandardMaterial({ color: 0xaaaaaa, metalness: 0.8 }));
+            ladder.position.set(0, 2.85, 0.3);
+            mesh.add(ladder);
+        }
     }
 
-    playerCar.userData.width = c.bodyW;
-    playerCar.userData.length = c.bodyL;
+    mesh.userData.owned = resourcesOf(mesh); // All but the light bar, that's shared
+    const left = new THREE.Mesh(lightBarGeom, lightBarMats.red[0]);
+    left.position.set(-0.3, barY, barZ);
+    const right = new THREE.Mesh(lightBarGeom, lightBarMats.blue[0]);
+    right.position.set(0.3, barY, barZ);
+    mesh.add(left);
+    mesh.add(right);
+    mesh.userData.lightBar = { left, right };
+    return mesh;
+}
 
-    playerCar.position.y = 0;
-    playerCar.position.z = 0;
+function updateLightBar(mesh, time) {
+    const flash = Math.floor(time / LIGHT_BAR_FLASH) % 2;
+    mesh.userData.lightBar.left.material = lightBarMats.red[flash];
+    mesh.userData.lightBar.right.material = lightBarMats.blue[1 - flash];
+}
 
-    // Add a spotlight to the player car for better depth - ONLY AT NIGHT
-    if (isNight) {
-        const headLight = new THREE.SpotLight(0xffffff, 100, 50, Math.PI / 4, 0.3, 1);
-        headLight.position.set(0, 1.5, -c.bodyL / 2);
-        headLight.target.position.set(0, 1, -c.bodyL / 2 - 20);
-        playerCar.add(headLight);
-        playerCar.add(headLight.target);
-        playerCar.userData.headLight = headLight; // Store for "dipar"
+// The vehicle itself, lamps and all, without the headlight beam
+function createTrafficBody(type, color) {
+    let mesh;
+    if (EMERGENCY_TYPES.includes(type)) {
+        mesh = createEmergencyMesh(type);
     } else {
-        // Create a weak light for "dipar" in day mode
-        const diparLight = new THREE.SpotLight(0xffffff, 0, 50, Math.PI / 4, 0.3, 1);
-        diparLight.position.set(0, 1.5, -c.bodyL / 2);
-        diparLight.target.position.set(0, 1, -c.bodyL / 2 - 20);
-        playerCar.add(diparLight);
-        playerCar.add(diparLight.target);
-        playerCar.userData.headLight = diparLight;
+        // Use toyota mesh for generic traffic cars for now
+        mesh = type === 'truck' ? createTruckMesh(color) : createPlayerCar('toyota');
+        // Override color for traffic
+        mesh.children[0].material.color.setHex(color);
+        mesh.userData.owned = resourcesOf(mesh);
     }
+    addTurnSignals(mesh, type);
+    return mesh;
+}
 
-    // Player Headlights (Real Light) - Only at night
-    if (isNight) {
-        const spotLight = new THREE.SpotLight(0xffffff, 20);
-        spotLight.position.set(0, 2, -1);
-        spotLight.target.position.set(0, 0, -40);
-        spotLight.angle = 0.6;
-        spotLight.penumbra = 0.5;
-        spotLight.castShadow = true;
-        spotLight.distance = 100;
-
-        playerCar.add(spotLight);
-        playerCar.add(spotLight.target);
-    }
+// Collision boxes for the simulation, measured once off each kind of traffic
+// mesh like the player's (measureHull)
+const trafficHulls = Object.fromEntries(TRAFFIC_TYPES.map(type => [type, measureHull(createTrafficBody(type, 0xffffff))]));
 
-    scene.add(playerCar);
+function createTrafficMesh(car) {
+    const mesh = createTrafficBody(car.type, car.color);
+    addHeadlightBeam(mesh, car.type);
+    mesh.position.set(car.x, 0, car.z);
+    scene.add(mesh);
+    return mesh;
 }
-spawnPlayer(); // Initial spawn for title screen
 
-// Traffic Manager
-const trafficCars = [];
-const trafficColors = [0xff0055, 0xffaa00, 0x00ffaa, 0xaaaaaa, 0x5555ff];
+let trainMesh = null;
+
+// Roadside warning sign, put up this far before a reported incident
+const INCIDENT_SIGN_LEAD = 150;
+let incidentSign = null;
+
+// Board on a pole just past the road edge, two lines of text
+function createRoadSign(lines, color, textColor = '#111111') {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 128;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = color;
+    ctx.fillRect(0, 0, 256, 128);
+    ctx.fillStyle = textColor;
+    ctx.font = 'bold 34px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(lines[0], 128, 56);
+    ctx.fillText(lines[1], 128, 100);
+
+    const sign = new THREE.Group();
+    const post = new THREE.Mesh(poleGeom, poleMat);
+    post.position.y = 2;
+    sign.add(post);
+    const board = new THREE.Mesh(new THREE.PlaneGeometry(4, 2), new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) }));
+    board.position.set(-1.5, 5, 0.25);
+    sign.add(board);
+    sign.position.x = roadEdge + 1;
+    sign.userData.owned = resourcesOf(board); // The post is shared
+    return sign;
+}
+
+function createIncidentSign() {
+    return createRoadSign(['⚠ ACCIDENT', 'AHEAD'], '#ffaa00');
+}
+
+// --- ROAD WORKS & MERGES ---
+// One group per zone (roadworks.js), its parts laid along the road from
+// where the closure starts (layAlong):
+// cones along the closed lanes, and for road works a striped barrier with
+// flashing lamps across them, for merges hatching and arrows painted on the
+// road. The warning sign stands ZONE_SIGN_LEAD before the start.
+const ZONE_SIGN_LEAD = 150;
+const CONE_SPACING = 6;
+const HATCH_PIECE = 10; // Two stripes long, so the pieces line up
+const ZONE_LAMP_FLASH = 0.4; // Seconds per lamp flash
+const coneGeom = new THREE.ConeGeometry(0.25, 0.8, 8);
+const coneMat = new THREE.MeshStandardMaterial({ color: 0xff6600, roughness: 0.6 });
+const zoneLampGeom = new THREE.SphereGeometry(0.18, 8, 8);
+const zoneLampMats = [
+    new THREE.MeshBasicMaterial({ color: 0x664400 }),
+    new THREE.MeshBasicMaterial({ color: 0xffbb00 }),
+];
+const zoneMeshes = new Map(); // zone -> group
+
+// Diagonal stripes (barrier boards) or hatching (closed lane of a merge)
+function createStripeTexture(background, stripe, repeat) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 64;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, 64, 64);
+    ctx.strokeStyle = stripe;
+    ctx.lineWidth = 12;
+    [-32, 32, 96].forEach(x => {
+        ctx.beginPath();
+        ctx.moveTo(x - 32, 64);
+        ctx.lineTo(x + 32, 0);
+        ctx.stroke();
+    });
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.repeat.set(repeat.x, repeat.y);
+    return texture;
+}
 
-function spawnTraffic() {
-    const laneIndex = Math.floor(Math.random() * 3);
-    const laneX = state.lanes[laneIndex];
+// Flat arrow on the road pointing ahead and across towards `side` (-1 left, 1 right)
+function createMergeArrow(side) {
+    const shape = new THREE.Shape();
+    shape.moveTo(-0.25, 0);
+    shape.lineTo(0.25, 0);
+    shape.lineTo(0.25, 2.2);
+    shape.lineTo(0.7, 2.2);
+    shape.lineTo(0, 3.4);
+    shape.lineTo(-0.7, 2.2);
+    shape.lineTo(-0.25, 2.2);
+    shape.closePath();
+    const arrow = new THREE.Mesh(new THREE.ShapeGeometry(shape), new THREE.MeshBasicMaterial({ color: 0xffffff }));
+    arrow.rotation.x = -Math.PI / 2;
+    arrow.rotation.z = -side * 0.5; // Bent towards the lane to merge into
+    arrow.position.y = 0.02;
+    return arrow;
+}
 
-    // Make sure we don't spawn on top of another car too close
-    // Check relative to spawn point 
-    const tooClose = trafficCars.some(car => {
-        return Math.abs(car.position.z - (-100)) < 25 && Math.abs(car.position.x - laneX) < 1;
+function createZoneMesh(zone, config) {
+    const { lanes } = config;
+    const laneWidth = lanes.length > 1 ? lanes[1] - lanes[0] : config.laneWidth;
+    const left = lanes[Math.min(...zone.closed)] - laneWidth / 2;
+    const right = lanes[Math.max(...zone.closed)] + laneWidth / 2;
+    const width = right - left;
+    const centre = (left + right) / 2;
+    // Which way traffic has to move out: towards the open lanes
+    const side = Math.max(...zone.closed) === lanes.length - 1 ? -1 : 1;
+
+    const group = new THREE.Group();
+    group.userData.lamps = [];
+    const owned = []; // Cones and lamps are shared, the rest is this zone's own
+
+    // Cones along the closure, on the sides that border open lanes
+    [left, right].forEach(x => {
+        if (Math.abs(x) >= lanes[lanes.length - 1] + laneWidth / 2 - 0.01) return; // Road edge
+        for (let z = 0; z > -zone.length; z -= CONE_SPACING) {
+            const cone = new THREE.Mesh(coneGeom, coneMat);
+            cone.position.set(x + (x < centre ? 0.4 : -0.4), 0.4, z);
+            cone.castShadow = true;
+            group.add(cone);
+        }
     });
 
-    if (tooClose) return;
+    if (zone.kind === 'works') {
+        // Striped barrier across the closed lanes, lamps flashing along the top
+        const board = new THREE.Mesh(
+            new THREE.BoxGeometry(width - 0.4, 1, 0.2),
+            new THREE.MeshStandardMaterial({ map: createStripeTexture('#ffffff', '#ff3300', { x: width / 2, y: 0.5 }) })
+        );
+        board.position.set(centre, 0.9, 0);
+        group.add(board);
+        owned.push(...resourcesOf(board));
+        for (let i = 0; i < Math.round(width / 1.5); i++) {
+            const lamp = new THREE.Mesh(zoneLampGeom, zoneLampMats[0]);
+            lamp.position.set(left + 0.75 + i * 1.5, 1.6, 0);
+            group.add(lamp);
+            group.userData.lamps.push(lamp);
+        }
+    } else {
+        // Hatching over the lane that ends (in pieces, so it follows the bends),
+        // arrows telling its traffic to move over
+        const hatchGeom = new THREE.PlaneGeometry(width - 0.4, HATCH_PIECE);
+        const hatchMat = new THREE.MeshBasicMaterial({ map: createStripeTexture('#2a2a2a', '#dddddd', { x: 1, y: HATCH_PIECE / 5 }) });
+        owned.push(hatchGeom, hatchMat, hatchMat.map);
+        for (let z = 0; z < zone.length; z += HATCH_PIECE) {
+            const hatch = new THREE.Mesh(hatchGeom, hatchMat);
+            hatch.rotation.x = -Math.PI / 2;
+            hatch.position.set(centre, 0.02, -z - HATCH_PIECE / 2);
+            group.add(hatch);
+        }
+        [20, 50, 80].forEach(z => {
+            const arrow = createMergeArrow(side);
+            arrow.position.set(centre, 0.02, z);
+            group.add(arrow);
+            owned.push(...resourcesOf(arrow));
+        });
+    }
+
+    const sign = zone.kind === 'works'
+        ? createRoadSign(['🚧 ROAD WORKS', `${zone.limit * 2} KM/H`], '#ff9900')
+        : createRoadSign([side < 0 ? 'RIGHT LANE' : 'LEFT LANE', 'ENDS'], '#ffffff');
+    sign.position.z = ZONE_SIGN_LEAD;
+    group.add(sign);
+    owned.push(...sign.userData.owned);
+    group.userData.owned = owned;
+    return group;
+}
 
-    const color = trafficColors[Math.floor(Math.random() * trafficColors.length)];
-    const isTruck = Math.random() > 0.4; // 60% chance of car, 40% truck
-    const car = isTruck ? createTruckMesh(color) : createPlayerCar('toyota'); // Use toyota mesh for generic traffic cars for now
-    // Override color for traffic
-    car.children[0].material.color.setHex(color);
+function clearZones() {
+    zoneMeshes.forEach(disposeMesh);
+    zoneMeshes.clear();
+}
 
-    // Spawn at -100
-    car.position.set(laneX, 0, -100);
+// Speed-trap gantries across the road in a pursuit, flashing as they catch the player
+const GANTRY_FLASH = 0.3; // Seconds the camera flash lasts
+const gantryMat = new THREE.MeshStandardMaterial({ color: 0x666666, metalness: 0.6, roughness: 0.4 });
+const gantryMeshes = new Map(); // trap -> mesh
 
-    // Random speed offset
-    car.userData.speedOffset = (Math.random() * 5);
+function createGantryMesh() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 256;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#1144aa';
+    ctx.fillRect(0, 0, 256, 64);
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 30px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(`SPEED CHECK · ${SPEED_LIMIT * 2}`, 128, 43);
+
+    const gantry = new THREE.Group();
+    const span = roadEdge + 2;
+    const legGeom = new THREE.BoxGeometry(0.4, 7, 0.4);
+    [-span, span].forEach(x => {
+        const leg = new THREE.Mesh(legGeom, gantryMat);
+        leg.position.set(x, 3.5, 0);
+        gantry.add(leg);
+    });
+    const beam = new THREE.Mesh(new THREE.BoxGeometry(span * 2 + 0.4, 0.6, 0.6), gantryMat);
+    beam.position.y = 7;
+    gantry.add(beam);
+    const board = new THREE.Mesh(new THREE.PlaneGeometry(6, 1.5), new THREE.MeshBasicMaterial({ map: new THREE.CanvasTexture(canvas) }));
+    board.position.set(0, 6, 0.35);
+    gantry.add(board);
+    gantry.userData.owned = [legGeom, beam.geometry, ...resourcesOf(board)]; // gantryMat is shared
+    const flash = new THREE.PointLight(0xffffff, 0, 40);
+    flash.position.set(0, 6.5, 1);
+    gantry.add(flash);
+    gantry.userData.flash = flash;
+    return gantry;
+}
 
-    scene.add(car);
-    trafficCars.push(car);
+function clearGantries() {
+    gantryMeshes.forEach(disposeMesh);
+    gantryMeshes.clear();
+}
 
+// Ghost of the best run: same car mesh, see-through and without lights
+let ghostRunner = null;
+let ghostMesh = null;
+
+function createGhostMesh(carType) {
+    const mesh = createPlayerMesh(carType);
+    mesh.traverse(child => {
+        if (child.isMesh) {
+            // Clone so the live car (which may share the loaded model's materials) stays opaque
+            child.material = child.material.clone();
+            child.material.transparent = true;
+            child.material.opacity = 0.3;
+            child.material.depthWrite = false;
+            child.castShadow = false;
+        }
+    });
+    return mesh;
+}
+
+function clearWorldMeshes() {
+    trafficMeshes.forEach(disposeMesh);
+    trafficMeshes.clear();
+    if (trainMesh) {
+        scene.remove(trainMesh);
+        trainMesh = null;
+    }
+    if (incidentSign) {
+        disposeMesh(incidentSign);
+        incidentSign = null;
+    }
+    clearGantries();
+    clearZones();
+    if (ghostMesh) {
+        scene.remove(ghostMesh);
+        ghostMesh = null;
+    }
+    clearDebris();
 }
 
 // --- INPUT HANDLER ---
 window.addEventListener('keydown', (e) => {
+    if (e.target.tagName === 'INPUT') return; // Typing a name, not driving
     const k = e.key.toLowerCase();
     if (k === 'arrowleft' || k === 'a') state.keys.left = true;
     if (k === 'arrowright' || k === 'd') state.keys.right = true;
     if (k === 'arrowup' || k === 'w') state.keys.up = true;
     if (k === 'arrowdown' || k === 's') state.keys.down = true;
     if (e.key.toLowerCase() === 'c') {
-        state.cameraIndex = (state.cameraIndex + 1) % CAMERA_VIEWS.length;
+        queueCommand('camera');
     }
     if (e.key.toLowerCase() === 'h') {
         state.keys.horn = true;
-        honkHorn();
+        queueCommand('honk');
     }
     if (e.key.toLowerCase() === 'f' || e.key.toLowerCase() === 'l') {
-        if (playerCar && playerCar.userData.headLight) {
-            playerCar.userData.headLight.intensity = 200;
-            setTimeout(() => {
-                if (playerCar && playerCar.userData.headLight) {
-                    playerCar.userData.headLight.intensity = isNight ? 100 : 0;
-                }
-            }, 150);
-        }
+        queueCommand('flash');
+    }
+    if (k === 'escape' && replayReader) {
+        endReplay();
+    }
+    if (e.key === '`') {
+        debugOverlay.enabled = !debugOverlay.enabled;
+    }
+    if (k === ' ' || k === 'enter') {
+        skipCrash();
     }
 });
 window.addEventListener('keyup', (e) => {
+    if (e.target.tagName === 'INPUT') return;
     const k = e.key.toLowerCase();
     if (k === 'arrowleft' || k === 'a') state.keys.left = false;
     if (k === 'arrowright' || k === 'd') state.keys.right = false;
@@ -819,7 +2038,7 @@ function setupMobileControls() {
             e.preventDefault();
             state.keys.horn = true;
             hornBtn.classList.add('active');
-            honkHorn();
+            queueCommand('honk');
         };
         const honkEnd = (e) => {
             e.preventDefault();
@@ -838,7 +2057,7 @@ function setupMobileControls() {
         const toggleCam = (e) => {
             e.preventDefault();
             camBtn.classList.add('active');
-            state.cameraIndex = (state.cameraIndex + 1) % CAMERA_VIEWS.length;
+            queueCommand('camera');
             setTimeout(() => camBtn.classList.remove('active'), 100);
         };
         camBtn.addEventListener('touchstart', toggleCam, { passive: false });
@@ -847,75 +2066,87 @@ function setupMobileControls() {
 }
 setupMobileControls();
 
+// One-off actions (honk, headlight flash, camera switch). During a live run
+// they are applied at the next tick so the recorder can stamp them; outside a
+// run, or while watching a replay, they only have their visual effect.
+const pendingCommands = [];
+
+function queueCommand(name) {
+    if (state.isPlaying && recorder) {
+        pendingCommands.push(name);
+    } else {
+        applyCommand(name);
+    }
+}
+
+// The gameplay side of 'honk' is handled by the simulation, see stepWorld
+function applyCommand(name) {
+    if (name === 'camera') {
+        state.cameraIndex = (state.cameraIndex + 1) % CAMERA_VIEWS.length;
+    } else if (name === 'flash') {
+        flashHeadlights();
+    } else if (name === 'honk' && !state.isPlaying) {
+        honkHorn();
+    }
+}
+
+function flashHeadlights() {
+    if (playerCar && playerCar.userData.headLight) {
+        const car = playerCar;
+        car.userData.flashing = true;
+        car.userData.headLight.intensity = 200;
+        setTimeout(() => { car.userData.flashing = false; }, 150); // updateDaylight dims them back
+    }
+}
+
 function honkHorn() {
     if (!playerCar) return;
 
     // Visual Flash
     const body = playerCar.children.find(c => c.isMesh && c.geometry.type === 'BoxGeometry'); // Main body
     if (body) {
-        const originalColor = body.material.color.getHex();
         body.material.emissive.setHex(0xffffff);
         setTimeout(() => { body.material.emissive.setHex(0x000000); }, 100);
     }
+}
 
-    // Find car ahead in current lane
-    // Player is roughly at x = state.lanes[...]
-    // Find closest lane index
-    let currentLaneIdx = 1;
-    let minDist = 100;
-    state.lanes.forEach((lx, i) => {
-        if (Math.abs(playerCar.position.x - lx) < minDist) {
-            minDist = Math.abs(playerCar.position.x - lx);
-            currentLaneIdx = i;
-        }
-    });
-
-    const playerLaneX = state.lanes[currentLaneIdx];
-
-    // Find closest traffic car in front
-    let closestCar = null;
-    let closestDist = 60; // Max honk range
-
-    trafficCars.forEach(car => {
-        // Car must be somewhat in the same lane
-        if (Math.abs(car.position.x - playerLaneX) < 1.5) {
-            // Car must be ahead (smaller Z since we move forward? Wait. 
-            // Logic: Traffic is at neg Z? No, traffic spawns at -100 and moves +Z towards camera (0,0,10).
-            // Wait, earlier logic: car.position.z += relativeSpeed * dt.
-            // If relativeSpeed > 0 (player faster), car moves +Z (closer to camera/player).
-            // Player is stationary at Z=0? No, checking update loop:
-            // envObjects move +Z. Traffic moves +Z.
-            // Player stays at Z=0 (mostly).
-            // So vehicles ahead of player are at Z < 0.
-            // Vehicles behind player are Z > 0 (and removed at Z>20).
-
-            // So we look for cars with Z < playerCar.position.z (approx 0)
-            // AND Z > -60 (range).
-
-            if (car.position.z < playerCar.position.z && car.position.z > -60) {
-                const d = Math.abs(car.position.z - playerCar.position.z);
-                if (d < closestDist) {
-                    closestDist = d;
-                    closestCar = car;
-                }
-            }
-        }
-    });
-
-    if (closestCar && !closestCar.userData.isChangingLane) {
-        // Determine target lane
-        // Try move right, if valid. Else left.
-        // currentLaneIdx is where the car IS (approx)
+// --- SIREN ---
+// Two-tone wail for the emergency vehicle about, louder the closer it is.
+// Web Audio starts on the first run (a click), browsers won't play before that.
+const SIREN_RANGE = 150; // Silent beyond this distance
+let siren = null;
+
+function createSiren() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return null;
+    const ctx = new AudioContext();
+    const tone = ctx.createOscillator();
+    tone.type = 'sawtooth';
+    tone.frequency.value = 750;
+    // Slow sweep up and down around the base tone
+    const sweep = ctx.createOscillator();
+    sweep.frequency.value = 0.8;
+    const sweepDepth = ctx.createGain();
+    sweepDepth.gain.value = 250;
+    sweep.connect(sweepDepth).connect(tone.frequency);
+    const volume = ctx.createGain();
+    volume.gain.value = 0;
+    tone.connect(volume).connect(ctx.destination);
+    tone.start();
+    sweep.start();
+    return { ctx, volume };
+}
 
-        let targetIdx = currentLaneIdx + 1; // Try Right
-        if (targetIdx > 2) targetIdx = currentLaneIdx - 1; // Try Left
+function setSirenVolume(level) {
+    if (!siren && level > 0) siren = createSiren();
+    if (!siren) return;
+    siren.volume.gain.setTargetAtTime(level, siren.ctx.currentTime, 0.1);
+}
 
-        if (targetIdx >= 0 && targetIdx <= 2) {
-            closestCar.userData.isChangingLane = true;
-            closestCar.userData.targetLaneX = state.lanes[targetIdx];
-            //console.log("Honk! Moving car to lane", targetIdx);
-        }
-    }
+function updateSiren(world) {
+    const vehicle = world.crash ? null : world.traffic.find(car => car.emergency);
+    const closeness = vehicle ? Math.max(0, 1 - Math.abs(vehicle.z) / SIREN_RANGE) : 0;
+    setSirenVolume(closeness * closeness * 0.15);
 }
 
 // --- UI HANDLERS ---
@@ -925,6 +2156,30 @@ const gameOverScreen = document.getElementById('game-over-screen');
 const scoreEl = document.getElementById('score-display');
 const speedEl = document.getElementById('speed-display');
 const finalScoreEl = document.getElementById('final-score');
+const finalSeedEl = document.getElementById('final-seed');
+const seedLinkEl = document.getElementById('seed-link');
+const replayBadge = document.getElementById('replay-badge');
+const watchReplayBtn = document.getElementById('watch-replay-btn');
+const exportReplayBtn = document.getElementById('export-replay-btn');
+const replayFileInput = document.getElementById('replay-file');
+const ghostDeltaEl = document.getElementById('ghost-delta');
+const incidentWarningEl = document.getElementById('incident-warning');
+const emergencyWarningEl = document.getElementById('emergency-warning');
+const oncomingBonusEl = document.getElementById('oncoming-bonus');
+const zoneWarningEl = document.getElementById('zone-warning');
+const weatherEl = document.getElementById('weather-display');
+const WEATHER_ICONS = { rain: '🌧', snow: '❄', fog: '🌫' };
+const wantedEl = document.getElementById('wanted');
+const wantedStarsEl = document.getElementById('wanted-stars');
+const evadeFillEl = document.getElementById('evade-fill');
+const healthFillEl = document.getElementById('health-fill');
+const healthValueEl = document.getElementById('health-value');
+const damageZoneEls = ZONES.map(zone => document.querySelector(`#damage-car .zone-${zone}`));
+const wreckCauseEl = document.getElementById('wreck-cause');
+const crashSkipBtn = document.getElementById('crash-skip-btn');
+crashSkipBtn.addEventListener('click', skipCrash);
+const ghostFileInput = document.getElementById('ghost-file');
+const ghostStatusEl = document.getElementById('ghost-status');
 
 function shouldShowMobileControls() {
     const userAgent = navigator.userAgent || navigator.vendor || window.opera;
@@ -957,13 +2212,77 @@ initializeResponsiveControls();
 document.getElementById('start-btn').addEventListener('click', startGame);
 document.getElementById('restart-btn').addEventListener('click', resetGame);
 document.getElementById('home-btn').addEventListener('click', goHome);
+watchReplayBtn.addEventListener('click', () => { if (lastReplay) startRun(lastReplay); });
+exportReplayBtn.addEventListener('click', () => { if (lastReplay) downloadReplay(lastReplay); });
+document.getElementById('import-replay-btn').addEventListener('click', () => replayFileInput.click());
+replayFileInput.addEventListener('change', importReplay);
+document.getElementById('import-ghost-btn').addEventListener('click', () => ghostFileInput.click());
+ghostFileInput.addEventListener('change', importGhost);
+
+// --- REPLAYS ---
+let recorder = null; // Records the live run
+let replayReader = null; // Set while watching a replay
+let lastReplay = null; // Most recent finished or imported run
+
+function downloadReplay(replay) {
+    const blob = new Blob([serializeReplay(replay)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `highway-racer-${replay.seed}-${replay.score}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+function importReplay() {
+    const file = replayFileInput.files[0];
+    replayFileInput.value = ''; // Allow picking the same file again
+    if (!file) return;
+
+    file.text().then(text => {
+        lastReplay = parseReplay(text);
+        startRun(lastReplay);
+    }).catch(err => {
+        console.error("Replay import failed:", err);
+        alert(`Could not load replay: ${err.message}`);
+    });
+}
+
+// A friend's exported run becomes the ghost for its car and mode
+function importGhost() {
+    const file = ghostFileInput.files[0];
+    ghostFileInput.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+        const replay = parseReplay(text);
+        saveGhost(replay);
+        updateGhostStatus();
+    }).catch(err => {
+        console.error("Ghost import failed:", err);
+        alert(`Could not load ghost: ${err.message}`);
+    });
+}
+
+function updateGhostStatus() {
+    const ghost = loadGhost(state.selectedCar, state.mode);
+    ghostStatusEl.innerText = ghost ? `GHOST: ${ghost.score} PTS` : 'NO GHOST YET';
+}
+updateGhostStatus();
+
+function endReplay() {
+    replayReader = null;
+    gameOver();
+}
 
 function startGame() {
+    startRun(null);
+}
+
+// Live run when `replay` is null, otherwise play the replay back
+function startRun(replay) {
     state.isPlaying = true;
     state.gameOver = false;
-    state.speed = CONFIG.startSpeed;
-    state.score = 0;
-    state.distanceTraveled = 0; // Reset distance
+    pendingCommands.length = 0;
 
     startScreen.classList.add('hidden');
     hud.classList.remove('hidden');
@@ -975,16 +2294,45 @@ function startGame() {
         document.getElementById('mobile-controls').style.display = 'none';
     }
 
-    spawnPlayer();
+    spawnPlayer(replay ? replay.car : state.selectedCar);
+
+    clearWorldMeshes();
+    runSeed = replay ? replay.seed : (urlSeed ?? randomSeed());
+    const car = replay ? replay.car : state.selectedCar;
+    const mode = replay ? replay.mode : state.mode;
+    const hull = replay ? replay.hull : playerCar.userData.hull;
+    const biome = replay ? (replay.biome ?? null) : state.biome; // Older replays have none: the seed's mix
+    const timeOfDay = replay ? (replay.timeOfDay ?? 'cycle') : state.timeOfDay;
+    const traffic = replay ? replay.traffic : trafficHulls; // Older replays have none: the simulation's sizes
+    world = createWorld({ seed: runSeed, mode, car, player: hull, traffic });
+    trackPath = createTrackPath(world.track);
+    biomePlan = createBiomePlan(runSeed, biome);
+    dayClock = createDayClock(runSeed, timeOfDay);
+    recorder = replay ? null : createRecorder({ seed: runSeed, car, mode, hull, traffic, biome, timeOfDay });
+    replayReader = replay ? createReplayReader(replay) : null;
+    replayBadge.classList.toggle('hidden', !replay);
+    crashSkipBtn.classList.add('hidden');
+
+    // Race the best run, but not while watching one
+    const ghost = replay ? null : loadGhost(state.selectedCar, state.mode);
+    ghostRunner = ghost ? createGhostRunner(ghost) : null;
+    if (ghost) {
+        ghostMesh = createGhostMesh(ghost.car);
+        scene.add(ghostMesh);
+    }
+    ghostDeltaEl.classList.toggle('hidden', !ghost);
+    fxRandom = deriveRng(runSeed, 'fx');
+    roadWeather.wet = 0;
+    roadWeather.snow = 0;
+    layRoad(world.config);
+    clearChunks();
+    renderedDistance = 0;
+    accumulator = 0;
 }
 
 
 
 function resetGame() {
-    // Clear traffic
-    trafficCars.forEach(car => scene.remove(car));
-    trafficCars.length = 0;
-
     playerCar.position.x = 0;
 
     startGame();
@@ -992,19 +2340,20 @@ function resetGame() {
 
 function goHome() {
     // Clear traffic
-    trafficCars.forEach(car => scene.remove(car));
-    trafficCars.length = 0;
-
-    // Reset player car position and tilt
-    if (playerCar) {
-        playerCar.position.x = 0;
-        playerCar.rotation.y = 0.5; // Angled for preview
-    }
+    clearWorldMeshes();
+    setSirenVolume(0);
+    recorder = null;
+    replayReader = null;
+    ghostRunner = null;
+    updateGhostStatus();
+    renderLeaderboards();
+
+    // Fresh car for the preview (the last one may be dented or on its roof)
+    spawnPlayer();
+    playerCar.rotation.y = 0.5; // Angled for preview
 
     state.isPlaying = false;
     state.gameOver = false;
-    state.speed = 0;
-    state.score = 0;
 
     // Toggle Screens
     startScreen.classList.remove('hidden');
@@ -1013,215 +2362,745 @@ function goHome() {
     document.getElementById('mobile-controls').style.display = 'none';
 }
 
+// --- GARAGE ---
+// Car picker on the start screen. The picked car is shown as the rotating
+// preview behind the menu and used for the next run.
+const carGrid = document.getElementById('car-grid');
+const carStatsEl = document.getElementById('car-stats');
+
+// Bars are relative to the best car in the garage, numbers are the raw stats
+const GARAGE_STATS = [
+    { label: 'TOP SPEED', value: s => s.topSpeed, text: s => `${s.topSpeed * 2} KM/H` },
+    { label: 'ACCELERATION', value: s => 1 / timeToSpeed(s, 0, 60), text: s => `0-120 ${timeToSpeed(s, 0, 60).toFixed(1)}s` },
+    { label: 'BRAKING', value: s => s.braking, text: s => `${s.braking}` },
+    { label: 'HANDLING', value: s => s.lateral, text: s => `${s.lateral}` },
+    { label: 'GRIP', value: s => s.grip, text: s => `${(s.grip / 9.81).toFixed(1)} G` },
+    { label: 'MASS', value: s => s.mass, text: s => `${s.mass} KG` },
+];
+
+function renderGarage() {
+    carGrid.innerHTML = '';
+    CAR_TYPES.forEach(type => {
+        const car = CARS[type];
+        const option = document.createElement('button');
+        option.className = 'car-option';
+        option.classList.toggle('selected', type === state.selectedCar);
+        option.style.setProperty('--car-color', `#${car.color.toString(16).padStart(6, '0')}`);
+        option.textContent = car.name;
+        if (models[type]) {
+            const badge = document.createElement('span');
+            badge.className = 'model-badge';
+            badge.textContent = '3D';
+            option.appendChild(badge);
+        }
+        option.addEventListener('click', () => selectCar(type));
+        carGrid.appendChild(option);
+    });
+
+    const stats = getCar(state.selectedCar).stats;
+    carStatsEl.innerHTML = '';
+    GARAGE_STATS.forEach(stat => {
+        const best = Math.max(...CAR_TYPES.map(type => stat.value(CARS[type].stats)));
+        const row = document.createElement('div');
+        row.className = 'stat-row';
+        const label = document.createElement('span');
+        label.textContent = stat.label;
+        const bar = document.createElement('div');
+        bar.className = 'stat-bar';
+        const fill = document.createElement('div');
+        fill.className = 'stat-fill';
+        fill.style.width = `${Math.round(stat.value(stats) / best * 100)}%`;
+        bar.appendChild(fill);
+        const value = document.createElement('span');
+        value.className = 'stat-value';
+        value.textContent = stat.text(stats);
+        row.append(label, bar, value);
+        carStatsEl.appendChild(row);
+    });
+}
+
+function selectCar(type) {
+    if (state.isPlaying || !CARS[type]) return;
+    state.selectedCar = type;
+    if (globalThis.localStorage) localStorage.setItem(SELECTED_CAR_KEY, type);
+
+    spawnPlayer();
+    playerCar.rotation.y = 0.5; // Angled for preview
+    renderGarage();
+    updateGhostStatus();
+    renderLeaderboards();
+}
+
+renderGarage();
+
+// --- MODE PICKER ---
+const modeGrid = document.getElementById('mode-grid');
+
+function renderModes() {
+    modeGrid.innerHTML = '';
+    MODES.forEach(mode => {
+        const option = document.createElement('button');
+        option.className = 'mode-option';
+        option.classList.toggle('selected', mode === state.mode);
+        option.textContent = mode.toUpperCase();
+        option.addEventListener('click', () => selectMode(mode));
+        modeGrid.appendChild(option);
+    });
+}
+
+function selectMode(mode) {
+    if (state.isPlaying) return;
+    state.mode = mode;
+    if (globalThis.localStorage) localStorage.setItem(SELECTED_MODE_KEY, mode);
+
+    renderModes();
+    updateGhostStatus();
+    renderLeaderboards();
+}
+
+renderModes();
+
+// --- BIOME PICKER ---
+// MIXED (null) lets the seed pick; the scenery behind the menu follows the choice
+const biomeGrid = document.getElementById('biome-grid');
+
+function renderBiomes() {
+    biomeGrid.innerHTML = '';
+    [null, ...BIOME_TYPES].forEach(biome => {
+        const option = document.createElement('button');
+        option.className = 'mode-option';
+        option.classList.toggle('selected', biome === state.biome);
+        option.textContent = biome ? BIOMES[biome].label : 'MIXED';
+        option.addEventListener('click', () => selectBiome(biome));
+        biomeGrid.appendChild(option);
+    });
+}
+
+function selectBiome(biome) {
+    if (state.isPlaying) return;
+    state.biome = biome;
+    if (globalThis.localStorage) {
+        if (biome) localStorage.setItem(SELECTED_BIOME_KEY, biome);
+        else localStorage.removeItem(SELECTED_BIOME_KEY);
+    }
+
+    renderBiomes();
+    biomePlan = createBiomePlan(world.seed, biome);
+    clearChunks();
+    updateChunks();
+    updateDaylight(world.time);
+    updateSky(trackDistance);
+}
+
+renderBiomes();
+
+// --- TIME OF DAY PICKER ---
+// A fixed time, or CYCLE for a day that goes by while you drive
+const timeGrid = document.getElementById('time-grid');
+
+function renderTimes() {
+    timeGrid.innerHTML = '';
+    TIME_OPTIONS.forEach(time => {
+        const option = document.createElement('button');
+        option.className = 'mode-option';
+        option.classList.toggle('selected', time === state.timeOfDay);
+        option.textContent = time.toUpperCase();
+        option.addEventListener('click', () => selectTime(time));
+        timeGrid.appendChild(option);
+    });
+}
+
+function selectTime(time) {
+    if (state.isPlaying) return;
+    state.timeOfDay = time;
+    if (globalThis.localStorage) localStorage.setItem(SELECTED_TIME_KEY, time);
+
+    renderTimes();
+    dayClock = createDayClock(world.seed, time);
+    updateDaylight(world.time);
+    updateSky(trackDistance);
+}
+
+renderTimes();
+
+// --- LEADERBOARD UI ---
+// The same panel markup sits on the start and game-over screens; both share one filter.
+const leaderboardPanels = [...document.querySelectorAll('.leaderboard-panel')];
+const leaderboardFilter = { car: 'all', mode: 'all' };
+const leaderboardFileInput = document.getElementById('leaderboard-file');
+const nameEntry = document.getElementById('name-entry');
+const playerNameInput = document.getElementById('player-name');
+const saveScoreBtn = document.getElementById('save-score-btn');
+let pendingEntry = null; // Finished live run waiting for a name
+let lastEntry = null; // Highlighted in the list
+
+function fillFilter(select, allLabel, values, selected) {
+    select.innerHTML = '';
+    [['all', allLabel], ...values.map(v => [v, v.toUpperCase()])].forEach(([value, label]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+    select.value = values.includes(selected) ? selected : 'all';
+}
+
+function renderLeaderboards() {
+    const entries = loadLeaderboard();
+    const cars = [...new Set([state.selectedCar, ...entries.map(e => e.car)])];
+    const modes = [...new Set([state.mode, ...entries.map(e => e.mode)])];
+    const shown = filterEntries(entries, leaderboardFilter).slice(0, 10);
+
+    leaderboardPanels.forEach(panel => {
+        fillFilter(panel.querySelector('.lb-car-filter'), 'ALL CARS', cars, leaderboardFilter.car);
+        fillFilter(panel.querySelector('.lb-mode-filter'), 'ALL MODES', modes, leaderboardFilter.mode);
+
+        const list = panel.querySelector('.leaderboard-list');
+        list.innerHTML = '';
+        if (!shown.length) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'NO SCORES YET';
+            list.appendChild(empty);
+        }
+        shown.forEach(entry => {
+            const row = document.createElement('li');
+            if (entry === lastEntry || (lastEntry && entry.date === lastEntry.date && entry.seed === lastEntry.seed)) {
+                row.classList.add('current');
+            }
+            row.title = `Seed ${entry.seed}`;
+
+            const name = document.createElement('span');
+            name.className = 'lb-name';
+            name.textContent = entry.name;
+            const meta = document.createElement('span');
+            meta.className = 'lb-meta';
+            meta.textContent = `${entry.car} · ${entry.distance} m · ${new Date(entry.date).toLocaleDateString()}`;
+            const score = document.createElement('span');
+            score.className = 'lb-score';
+            score.textContent = entry.score;
+
+            row.append(name, meta, score);
+            list.appendChild(row);
+        });
+    });
+}
+
+leaderboardPanels.forEach(panel => {
+    panel.querySelector('.lb-car-filter').addEventListener('change', (e) => {
+        leaderboardFilter.car = e.target.value;
+        renderLeaderboards();
+    });
+    panel.querySelector('.lb-mode-filter').addEventListener('change', (e) => {
+        leaderboardFilter.mode = e.target.value;
+        renderLeaderboards();
+    });
+    panel.querySelector('.lb-export').addEventListener('click', () => {
+        const blob = new Blob([exportLeaderboard()], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'highway-racer-leaderboard.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+    panel.querySelector('.lb-import').addEventListener('click', () => leaderboardFileInput.click());
+});
+
+leaderboardFileInput.addEventListener('change', () => {
+    const file = leaderboardFileInput.files[0];
+    leaderboardFileInput.value = '';
+    if (!file) return;
+
+    file.text().then(text => {
+        const added = importLeaderboard(text);
+        renderLeaderboards();
+        alert(`Merged ${added} new score${added === 1 ? '' : 's'}`);
+    }).catch(err => {
+        console.error("Leaderboard import failed:", err);
+        alert(`Could not import leaderboard: ${err.message}`);
+    });
+});
+
+function saveScore() {
+    if (!pendingEntry) return;
+    const name = playerNameInput.value.trim();
+    savePlayerName(name);
+    lastEntry = addEntry({ ...pendingEntry, name });
+    pendingEntry = null;
+    saveScoreBtn.disabled = true;
+    playerNameInput.disabled = true;
+    renderLeaderboards();
+}
+saveScoreBtn.addEventListener('click', saveScore);
+playerNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') saveScore();
+});
+
+renderLeaderboards();
+
 function gameOver() {
     state.isPlaying = false;
     state.gameOver = true;
-    state.speed = 0;
+    setSirenVolume(0);
+
+    // Only live runs go on the board, not replays of them. Watching the replay
+    // before saving keeps the live run's entry waiting for its name.
+    if (recorder) {
+        pendingEntry = {
+            car: state.selectedCar,
+            mode: world.mode,
+            score: world.score,
+            distance: world.distance,
+            seed: world.seed,
+        };
+        saveScoreBtn.disabled = false;
+        playerNameInput.disabled = false;
+        playerNameInput.value = loadPlayerName();
+    }
+    nameEntry.classList.toggle('hidden', !pendingEntry);
+    renderLeaderboards();
 
-    finalScoreEl.innerText = Math.floor(state.score);
+    if (recorder) {
+        lastReplay = recorder.finish(world);
+        recorder = null;
+        offerGhost(lastReplay);
+    }
+    ghostRunner = null;
+    replayReader = null;
+    watchReplayBtn.disabled = !lastReplay;
+    exportReplayBtn.disabled = !lastReplay;
+
+    finalScoreEl.innerText = Math.floor(world.score);
+    wreckCauseEl.innerText = world.wreck ? wreckText(world.wreck) : '';
+    wreckCauseEl.classList.toggle('hidden', !world.wreck);
+    crashSkipBtn.classList.add('hidden');
+    finalSeedEl.innerText = world.seed;
+    seedLinkEl.href = `?seed=${world.seed}`;
     hud.classList.add('hidden');
     gameOverScreen.classList.remove('hidden');
     document.getElementById('mobile-controls').style.display = 'none';
 }
 
-// --- GAME LOOP ---
-const clock = new THREE.Clock();
+// --- DEBUG OVERLAY ---
+// The collision boxes the simulation tests with (player cyan, traffic yellow)
+// and the last contact: a cross at the point and a line along the normal.
+// Toggle with ` (backquote) or open the game with ?debug.
+const debugOverlay = {
+    enabled: new URLSearchParams(window.location.search).has('debug'),
+    group: new THREE.Group(),
+    hulls: new Map(), // Body id ('player' or traffic id) -> LineLoop
+    contact: null,
+    contactLine: null,
+};
+scene.add(debugOverlay.group);
+const debugMats = {
+    player: new THREE.LineBasicMaterial({ color: 0x00f2ff, depthTest: false }),
+    traffic: new THREE.LineBasicMaterial({ color: 0xffcc00, depthTest: false }),
+    contact: new THREE.LineBasicMaterial({ color: 0xff0055, depthTest: false, transparent: true }),
+};
 
-function update(dt) {
-    try {
-        if (!state.isPlaying) return;
+function debugLine(LineType, vertices, material) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(vertices * 3), 3));
+    const line = new LineType(geometry, material);
+    line.frustumCulled = false;
+    line.renderOrder = 999;
+    debugOverlay.group.add(line);
+    return line;
+}
 
-        // Update Score
-        state.score += (state.speed * dt) / 10;
-        state.distanceTraveled += (state.speed * dt); // True distance for texture scroll
-        scoreEl.innerText = Math.floor(state.score);
-        speedEl.innerText = Math.floor(state.speed * 2); // Fake km/h conversion
-
-        // Increase speed over time
-        // Manual Speed Control
-        const acc = 6;
-        const friction = 5;
-        const braking = 80; // Significantly stronger brakes
-
-        if (state.keys.up) {
-            if (state.speed < CONFIG.maxSpeed) {
-                state.speed += acc * dt;
-                if (state.speed > CONFIG.maxSpeed) state.speed = CONFIG.maxSpeed;
-            }
-        } else if (state.keys.down) {
-            state.speed -= braking * dt;
-        } else {
-            // Coasting
-            state.speed -= friction * dt;
-        }
+function drawHull(id, body, material) {
+    let line = debugOverlay.hulls.get(id);
+    if (!line) {
+        line = debugLine(THREE.LineLoop, 4, material);
+        debugOverlay.hulls.set(id, line);
+    }
+    const position = line.geometry.attributes.position;
+    corners(boxOf(body)).forEach((c, i) => {
+        const p = trackToScene(c.x, 0.05, c.z);
+        position.setXYZ(i, p.x, p.y, p.z);
+    });
+    position.needsUpdate = true;
+    line.userData.seen = true;
+}
 
-        // Clamp speed - Minimum 15 units (approx 30 KM/H on display)
-        if (state.speed < 15) state.speed = 15;
-
-        // Tail lights effect
-        if (playerCar) {
-            // Fix: Filter ONLY small tail lights, not the car body
-            const tailLights = playerCar.children.filter(c => {
-                // Check if it is a mesh, red, AND small (to avoid scaling the car body)
-                return c.isMesh &&
-                    c.material &&
-                    c.material.color &&
-                    c.material.color.getHex() === 0xff0000 &&
-                    c.geometry && c.geometry.parameters && c.geometry.parameters.width < 1.0;
-            });
-            tailLights.forEach(tl => {
-                tl.material.color.setHex(state.keys.down ? 0xff3333 : 0xff0000);
-                tl.scale.z = state.keys.down ? 1.5 : 1;
-            });
-        }
+function drawContact(dt) {
+    const contact = debugOverlay.contact;
+    if (!debugOverlay.contactLine) debugOverlay.contactLine = debugLine(THREE.LineSegments, 6, debugMats.contact);
+    const line = debugOverlay.contactLine;
+    line.visible = !!contact;
+    if (!contact) return;
+
+    const { point, normal } = contact;
+    const position = line.geometry.attributes.position;
+    [
+        [point.x, point.z],
+        [point.x + normal.x * 1.5, point.z + normal.z * 1.5],
+        [point.x - 0.3, point.z - 0.3],
+        [point.x + 0.3, point.z + 0.3],
+        [point.x - 0.3, point.z + 0.3],
+        [point.x + 0.3, point.z - 0.3],
+    ].forEach(([x, z], i) => {
+        const p = trackToScene(x, 0.1, z);
+        position.setXYZ(i, p.x, p.y, p.z);
+    });
+    position.needsUpdate = true;
+    debugMats.contact.opacity = contact.life;
 
-        // Road Scrolling (Move texture)
-        if (roadMat.map) {
-            roadMat.map.offset.y = -(state.distanceTraveled / 20);
-        }
+    contact.life -= dt;
+    if (contact.life <= 0) debugOverlay.contact = null;
+}
 
-        // Player Movement
-        // Player Movement
-        if (state.keys.left && playerCar.position.x > state.lanes[0] - 1) {
-            playerCar.position.x -= CONFIG.lateralSpeed * dt;
-        }
-        if (state.keys.right && playerCar.position.x < state.lanes[2] + 1) {
-            playerCar.position.x += CONFIG.lateralSpeed * dt;
-        }
+// Boxes follow the interpolated bodies so they sit on the meshes
+function updateDebugOverlay(world, alpha, dt) {
+    debugOverlay.group.visible = debugOverlay.enabled;
+    if (!debugOverlay.enabled) return;
+
+    const player = world.player;
+    debugOverlay.hulls.forEach(line => { line.userData.seen = false; });
+    drawHull('player', { ...player, x: lerp(player.prevX, player.x, alpha), yaw: lerp(player.prevYaw, player.yaw, alpha) }, debugMats.player);
+    world.traffic.forEach(car => {
+        drawHull(car.id, {
+            ...car,
+            x: lerp(car.prevX, car.x, alpha),
+            z: lerp(car.prevZ, car.z, alpha),
+            yaw: lerp(car.prevYaw, car.yaw, alpha),
+        }, debugMats.traffic);
+    });
+    // Lane closures, as solid as the traffic
+    closuresOf(world).forEach(closure => {
+        drawHull(`closure-${closure.lane}-${world.zones.indexOf(closure.zone)}`, closure, debugMats.traffic);
+    });
+    debugOverlay.hulls.forEach((line, id) => {
+        if (line.userData.seen) return;
+        debugOverlay.group.remove(line);
+        line.geometry.dispose();
+        debugOverlay.hulls.delete(id);
+    });
+    drawContact(dt);
+}
+
+// --- RENDERER & HUD ---
+// The simulation advances in fixed ticks; per tick we react to its events,
+// per frame we draw the world and refresh the HUD, both interpolated between
+// the last two ticks. Nothing here feeds back into the rules.
+const lerp = THREE.MathUtils.lerp;
+let renderedDistance = 0;
+
+let gantryFlashAt = -Infinity;
 
-        // Smooth Tilt
-        playerCar.rotation.z = THREE.MathUtils.lerp(playerCar.rotation.z, (state.keys.left ? 0.1 : (state.keys.right ? -0.1 : 0)), dt * 5);
-        playerCar.rotation.y = THREE.MathUtils.lerp(playerCar.rotation.y, (state.keys.left ? 0.1 : (state.keys.right ? -0.1 : 0)), dt * 5);
-
-        // Traffic Handling
-        state.timeSinceLastSpawn += dt;
-        // Spawn faster as we go faster
-        const spawnRate = CONFIG.trafficSpawnRate / (state.speed / 30);
-        if (state.timeSinceLastSpawn > spawnRate) {
-            spawnTraffic();
-            state.timeSinceLastSpawn = 0;
+function handleWorldEvents(world) {
+    world.events.forEach(e => {
+        if (e.type === 'honk') {
+            honkHorn();
+        } else if (e.type === 'impact' || e.type === 'scrape') {
+            if (e.point) debugOverlay.contact = { point: e.point, normal: e.normal, life: 1 };
+            // Camera Shake for impact feedback, harder hits shake more (pushing against a car doesn't)
+            if (e.damage > 0.5) camera.position.y += Math.min(1.5, 0.2 + e.damage * 0.03);
+        } else if (e.type === 'speedTrap' && e.caught) {
+            gantryFlashAt = world.time;
+        } else if (e.type === 'crash') {
+            spawnCrashFx(e.point, e.speed, getCar(world.player.car).color);
+            crashOrbit = Math.atan2(camera.position.z - playerCar.position.z, camera.position.x - playerCar.position.x);
+            crashSkipBtn.classList.remove('hidden');
         }
+    });
+}
 
-        // Move Traffic
-        for (let i = trafficCars.length - 1; i >= 0; i--) {
-            const car = trafficCars[i];
-            const carSpeed = 20 + car.userData.speedOffset;
-            const relativeSpeed = state.speed - carSpeed;
+// What finished the car off, for the game-over screen
+function wreckText(wreck) {
+    const speed = `${Math.round(wreck.speed * 2)} KM/H`;
+    if (wreck.other === 'barrier') return `Hit the barrier at ${speed}`;
+    if (wreck.other === 'roadworks') return `Ploughed into the road works at ${speed}`;
+    const other = `${/^[aeiou]/.test(wreck.other) ? 'an' : 'a'} ${wreck.other.toUpperCase()}`;
+    if (wreck.headOn) return `Head-on with ${other} at ${speed}`;
+    if (wreck.zone === 'front') return `Ran into the back of ${other} at ${speed}`;
+    if (wreck.zone === 'rear') return `Rear-ended by ${other} at ${speed}`;
+    return `Side impact with ${other} at ${speed}`;
+}
 
-            car.position.z += relativeSpeed * dt;
+const ZONE_WARNING = 300; // How far ahead road works and merges show on the HUD
+
+// Once a frame, like the rest of the drawing: distances on it come from the
+// same interpolated positions as the meshes
+function updateHud(world, alpha) {
+    // How far the world still has to scroll to catch up with the last tick
+    const behind = (world.distance - world.prevDistance) * (1 - alpha);
+
+    scoreEl.innerText = Math.floor(world.score);
+    speedEl.innerText = Math.floor(world.player.speed * 2); // Fake km/h conversion
+
+    const damage = world.player.damage;
+    const health = damage.health / MAX_HEALTH;
+    healthFillEl.style.width = `${health * 100}%`;
+    healthFillEl.classList.toggle('critical', health < 0.25);
+    healthValueEl.innerText = `${Math.ceil(health * 100)}%`;
+    ZONES.forEach((zone, i) => damageZoneEls[i].style.setProperty('--damage', damage[zone].toFixed(2)));
+
+    // Accident ahead, until we're past it
+    const incident = world.incident;
+    incidentWarningEl.classList.toggle('hidden', !incident || incident.z > 0);
+    if (incident) incidentWarningEl.innerText = `⚠ ACCIDENT AHEAD · ${Math.max(0, Math.round(behind - incident.z))} m`;
+
+    // Emergency vehicle coming up behind, and whether we're in its way
+    const emergency = world.traffic.find(car => car.emergency && !car.chasing && car.z > 0 && car.z < SIREN_RANGE);
+    emergencyWarningEl.classList.toggle('hidden', !emergency);
+    emergencyWarningEl.classList.toggle('blocking', world.blocking > 0);
+    if (emergency) {
+        emergencyWarningEl.innerText = world.blocking > world.config.yieldGrace
+            ? `🚨 MOVE OVER! −${world.config.blockPenalty} PTS/S`
+            : world.blocking > 0 ? '🚨 MOVE OVER!' : `🚨 ${emergency.type.toUpperCase()} · ${Math.round(lerp(emergency.prevZ, emergency.z, alpha))} m BEHIND`;
+    }
 
-            // Remove if passed camera
-            if (car.position.z > 20) {
-                scene.remove(car);
-                trafficCars.splice(i, 1);
-            }
+    // Road works or a merge coming up, or going through road works (and too fast)
+    const zone = world.zones.find(other => other.z - other.length < 0 && other.z > -ZONE_WARNING);
+    zoneWarningEl.classList.toggle('hidden', !zone);
+    zoneWarningEl.classList.toggle('speeding', world.speeding);
+    if (zone) {
+        const where = zone.z > 0 ? '' : ` · ${Math.round(behind - zone.z)} m`;
+        const lane = Math.max(...zone.closed) === world.config.lanes.length - 1 ? 'RIGHT' : 'LEFT';
+        zoneWarningEl.innerText = zone.kind === 'merge'
+            ? `⤨ ${lane} LANE ENDS${where}`
+            : world.speeding ? `🚧 SLOW DOWN! −${world.config.worksPenalty} PTS/S` : `🚧 ROAD WORKS · ${zone.limit * 2} KM/H${where}`;
+    }
 
-            // Simple Collision
-            const dx = Math.abs(playerCar.position.x - car.position.x);
-            const dz = Math.abs(playerCar.position.z - car.position.z);
-
-            const trafficLength = car.userData.type === 'truck' ? 6 : 4;
-            const playerLength = playerCar.userData.length || 4;
-            const combinedLength = (trafficLength + playerLength) / 2;
-
-            if (dx < 2.2 && dz < combinedLength * 0.8) {
-                // 1. Immunity at low speed (Stopped/Min Speed)
-                // OR Rear-end (Z > playerZ)
-                if (state.speed <= 16 || car.position.z > playerCar.position.z) {
-                    // "Bump" Effect
-                    // 1. Slow down traffic relative to player (Push traffic away / Move player back)
-                    // Actually, moving traffic -Z pushes it ahead of us (towards horizon)
-                    car.position.z -= 3.0;
-
-                    // 2. Slow player slightly (loss of momentum)
-                    state.speed = 15;
-
-                    // 3. Camera Shake for impact feedback
-                    camera.position.y += 0.5;
-                    return;
-                }
+    // Weather, and how much grip it leaves
+    const { type, grip } = world.conditions;
+    weatherEl.classList.toggle('hidden', type === 'clear');
+    if (type !== 'clear') weatherEl.innerText = `${WEATHER_ICONS[type]} ${WEATHER[type].label}${grip < 1 ? ` · GRIP ${Math.round(grip * 100)}%` : ''}`;
+
+    // Two-way: scoring extra in the oncoming lanes
+    oncomingBonusEl.classList.toggle('hidden', world.oncoming === 0);
+    if (world.oncoming > 0) oncomingBonusEl.innerText = `⇅ ONCOMING +${world.config.oncomingBonus} PTS/S · ${world.oncoming.toFixed(1)}s`;
+
+    // Pursuit: stars for the wanted level, the bar fills while out of sight
+    const pursuit = world.pursuit;
+    wantedEl.classList.toggle('hidden', !pursuit);
+    if (pursuit) {
+        wantedStarsEl.innerText = '★'.repeat(pursuit.wanted) + '☆'.repeat(MAX_WANTED - pursuit.wanted);
+        wantedEl.classList.toggle('active', pursuit.wanted > 0);
+        evadeFillEl.style.width = `${pursuit.evade / EVADE_DISTANCE * 100}%`;
+    }
 
-                console.log("CRASH! dx:", dx, "dz:", dz);
-                gameOver();
-                return;
-            }
+    if (ghostRunner) {
+        const delta = -ghostRunner.deltaTo(world); // Positive: we are ahead
+        ghostDeltaEl.innerText = `${delta >= 0 ? '▲' : '▼'} ${Math.abs(Math.round(delta))} m ${delta >= 0 ? 'AHEAD' : 'BEHIND'}`;
+        ghostDeltaEl.classList.toggle('behind', delta < 0);
+    }
+}
 
-            // Turn wheels
-            if (car.userData.wheels) {
-                car.userData.wheels.forEach(w => w.rotation.x += state.speed * dt * 0.1);
-            }
+const worldListeners = [handleWorldEvents, updateSiren];
+
+// `alpha` is how far we are between the previous tick (0) and the current one (1)
+function renderWorld(world, alpha, dt) {
+    const player = world.player;
+
+    // How far the world scrolled since the last frame
+    const distance = lerp(world.prevDistance, world.distance, alpha);
+    const travelled = distance - renderedDistance;
+    renderedDistance = distance;
+    viewTrack(distance);
+    updateChunks();
+    updateDaylight(world.time);
+    updateSky(distance);
+    updateWeather(world, dt);
+
+    // Tail lights effect
+    // Fix: Filter ONLY small tail lights, not the car body
+    const tailLights = playerCar.children.filter(c => {
+        // Check if it is a mesh, red, AND small (to avoid scaling the car body)
+        return c.isMesh &&
+            c.material &&
+            c.material.color &&
+            c.material.color.getHex() === 0xff0000 &&
+            c.geometry && c.geometry.parameters && c.geometry.parameters.width < 1.0;
+    });
+    tailLights.forEach(tl => {
+        tl.material.color.setHex(player.braking ? 0xff3333 : 0xff0000);
+        tl.scale.z = player.braking ? 1.5 : 1;
+    });
 
-            // Handle Honk Lane Change
-            if (car.userData.isChangingLane) {
-                // Lerp x to target
-                const moveSpeed = 10; // Fast lane change (0.2s reactionish)
-                const dir = Math.sign(car.userData.targetLaneX - car.position.x);
-                car.position.x += dir * moveSpeed * dt;
-
-                // Check if arrived
-                if (Math.abs(car.position.x - car.userData.targetLaneX) < 0.1) {
-                    car.position.x = car.userData.targetLaneX;
-                    car.userData.isChangingLane = false;
-                }
+    // Player (y is off the ground only while tumbling)
+    const yaw = lerp(player.prevYaw, player.yaw, alpha);
+    playerCar.rotation.set(lerp(player.prevPitch, player.pitch, alpha), yaw, lerp(player.prevRoll, player.roll, alpha));
+    placeOnTrack(playerCar, lerp(player.prevX, player.x, alpha), lerp(player.prevY, player.y, alpha), 0);
+    playerCar.userData.heading = yaw; // For the camera, with the road's slope
+    playerCar.userData.slope = trackPoint.pitch;
+    updateBrakeLights(playerCar, player.braking);
+
+    // Traffic
+    const seen = new Set();
+    world.traffic.forEach(car => {
+        let mesh = trafficMeshes.get(car.id);
+        if (!mesh) {
+            mesh = createTrafficMesh(car);
+            trafficMeshes.set(car.id, mesh);
+        }
+        mesh.rotation.order = 'YXZ';
+        if (car.tumble) {
+            mesh.rotation.set(lerp(car.prevPitch, car.pitch, alpha), lerp(car.prevYaw, car.yaw, alpha), lerp(car.prevRoll, car.roll, alpha));
+        } else {
+            mesh.rotation.set(0, lerp(car.prevYaw, car.yaw, alpha), 0);
+        }
+        placeOnTrack(mesh, lerp(car.prevX, car.x, alpha), car.tumble ? lerp(car.prevY, car.y, alpha) : 0, lerp(car.prevZ, car.z, alpha));
+        updateTurnSignals(mesh, car, world.time);
+        updateBrakeLights(mesh, car.braking);
+        if (mesh.userData.lightBar && (car.emergency || car.roadblock)) updateLightBar(mesh, world.time);
+
+        // Turn wheels
+        if (mesh.userData.wheels) {
+            mesh.userData.wheels.forEach(w => w.rotation.x += car.speed * dt * 0.1);
+        }
+        seen.add(car.id);
+    });
+    trafficMeshes.forEach((mesh, id) => {
+        if (!seen.has(id)) {
+            disposeMesh(mesh);
+            trafficMeshes.delete(id);
+        }
+    });
 
-                // Rotate slightly
-                car.rotation.y = -dir * 0.1;
-            } else {
-                // Return to straight
-                car.rotation.y = THREE.MathUtils.lerp(car.rotation.y, 0, dt * 5);
-            }
+    // Spawn Particles
+    if (player.speed > 40 && fxRandom() > 0.8) {
+        spawnParticle(playerCar.position);
+    }
+
+    // Update Particles
+    for (let i = particles.length - 1; i >= 0; i--) {
+        const p = particles[i];
+        p.life -= dt * 2;
+        p.mesh.position.z += (player.speed * 0.5) * dt;
+        p.mesh.position.y += dt;
+        p.mesh.scale.setScalar(2 - p.life);
+        p.mesh.material.opacity = p.life;
+
+        if (p.life <= 0) {
+            scene.remove(p.mesh);
+            particles.splice(i, 1);
         }
+    }
 
-        // Move Environment
-        envObjects.forEach((obj, index) => {
-            obj.position.z += state.speed * dt;
-            if (obj.position.z > 20) {
-                obj.position.z -= 300; // Reset far back
+    updateCarDamage(playerCar, player.damage);
+    updateDebris(dt, travelled);
+    updateSparks(dt, travelled);
+    updateDebugOverlay(world, alpha, dt);
+
+    // Animate Player Wheels (front ones, z < 0, also steer)
+    if (playerCar.userData.wheels) {
+        const steer = lerp(player.prevSteer, player.steer, alpha);
+        playerCar.userData.wheels.forEach(w => {
+            w.rotation.x += player.speed * dt * 0.5;
+            if (w.position.z < 0) {
+                w.rotation.order = 'YXZ';
+                w.rotation.y = steer;
             }
         });
+    }
 
-        // Spawn Particles
-        if (state.speed > 40 && Math.random() > 0.8) {
-            spawnParticle(playerCar.position);
-        }
+    // FOV effect
+    const targetFOV = 60 + (player.speed / player.stats.topSpeed) * 30;
+    camera.fov = lerp(camera.fov, targetFOV, dt);
+    camera.updateProjectionMatrix();
 
-        // Update Particles
-        for (let i = particles.length - 1; i >= 0; i--) {
-            const p = particles[i];
-            p.life -= dt * 2;
-            p.mesh.position.z += (state.speed * 0.5) * dt;
-            p.mesh.position.y += dt;
-            p.mesh.scale.setScalar(2 - p.life);
-            p.mesh.material.opacity = p.life;
-
-            if (p.life <= 0) {
-                scene.remove(p.mesh);
-                particles.splice(i, 1);
-            }
+    // Ghost (lives in its own world, placed relative to our distance)
+    if (ghostRunner && ghostMesh) {
+        const ghostWorld = ghostRunner.world;
+        const ghostDistance = lerp(ghostWorld.prevDistance, ghostWorld.distance, alpha);
+        ghostMesh.rotation.order = 'YXZ';
+        ghostMesh.rotation.set(ghostWorld.player.pitch, ghostWorld.player.yaw, ghostWorld.player.roll);
+        placeOnTrack(ghostMesh, lerp(ghostWorld.player.prevX, ghostWorld.player.x, alpha), 0, -(ghostDistance - distance));
+    }
+
+    // Train
+    if (world.train) {
+        if (!trainMesh) {
+            trainMesh = createTrainMesh();
+            scene.add(trainMesh);
         }
+        layAlong(trainMesh, lerp(world.train.prevZ, world.train.z, alpha));
+    } else if (trainMesh) {
+        scene.remove(trainMesh);
+        trainMesh = null;
+    }
 
-        // Animate Player Wheels
-        if (playerCar.userData.wheels) {
-            playerCar.userData.wheels.forEach(w => w.rotation.x += state.speed * dt * 0.5);
+    // Road works and merges (they scroll with the road too)
+    zoneMeshes.forEach((mesh, zone) => {
+        if (world.zones.includes(zone)) return;
+        disposeMesh(mesh);
+        zoneMeshes.delete(zone);
+    });
+    const lampOn = Math.floor(world.time / ZONE_LAMP_FLASH) % 2;
+    world.zones.forEach(zone => {
+        let mesh = zoneMeshes.get(zone);
+        if (!mesh) {
+            mesh = createZoneMesh(zone, world.config);
+            zoneMeshes.set(zone, mesh);
+            scene.add(mesh);
         }
+        layAlong(mesh, zone.z - (world.distance - distance));
+        mesh.userData.lamps.forEach((lamp, i) => lamp.material = zoneLampMats[(i + lampOn) % 2]);
+    });
 
-        // FOV effect
-        const targetFOV = 60 + (state.speed / CONFIG.maxSpeed) * 30;
-        camera.fov = THREE.MathUtils.lerp(camera.fov, targetFOV, dt);
-        camera.updateProjectionMatrix();
+    // Speed traps (they scroll with the road, like the incident below)
+    const traps = world.pursuit ? world.pursuit.traps : [];
+    gantryMeshes.forEach((mesh, trap) => {
+        if (traps.includes(trap)) return;
+        disposeMesh(mesh);
+        gantryMeshes.delete(trap);
+    });
+    traps.forEach(trap => {
+        let mesh = gantryMeshes.get(trap);
+        if (!mesh) {
+            mesh = createGantryMesh();
+            gantryMeshes.set(trap, mesh);
+            scene.add(mesh);
+        }
+        placeRest(mesh, trap.z - (world.distance - distance));
+        const flashing = trap.flashed && world.time - gantryFlashAt < GANTRY_FLASH;
+        mesh.userData.flash.intensity = flashing ? 200 : 0;
+    });
 
-        // Train
-        if (!train && Math.random() < 0.005) {
-            spawnTrain();
+    // Incident warning sign (the incident scrolls with the road, like the world)
+    const signZ = world.incident ? world.incident.z + INCIDENT_SIGN_LEAD - (world.distance - distance) : Infinity;
+    if (signZ < 20) {
+        if (!incidentSign) {
+            incidentSign = createIncidentSign();
+            scene.add(incidentSign);
         }
-        if (train) {
-            train.mesh.position.z += (train.speed + state.speed) * dt; // Move towards camera fast
-            if (train.mesh.position.z > 200) {
-                scene.remove(train.mesh);
-                train = null;
-            }
+        placeRest(incidentSign, signZ);
+    } else if (incidentSign) {
+        disposeMesh(incidentSign);
+        incidentSign = null;
+    }
+}
+
+// --- GAME LOOP ---
+// Fixed timestep: real frame time is banked in `accumulator` and spent in
+// FIXED_DT ticks, so a 30 FPS phone and a 144 Hz desktop run the same steps.
+const clock = new THREE.Clock();
+let accumulator = 0;
+
+function update(dt) {
+    try {
+        if (!state.isPlaying) return;
+
+        let keys, commands;
+        if (replayReader) {
+            ({ keys, commands } = replayReader.inputAt(world.tick));
+        } else {
+            keys = state.keys;
+            commands = pendingCommands.splice(0);
+            recorder.record(world.tick, keys, commands);
         }
 
+        stepWorld(world, { ...keys, honk: commands.includes('honk') }, dt);
+        if (ghostRunner) ghostRunner.step();
+        commands.forEach(applyCommand);
+        worldListeners.forEach(listener => listener(world, dt));
+
+        if (world.gameOver || (replayReader && replayReader.done(world.tick))) {
+            gameOver();
+        }
     } catch (err) {
         console.error("Game Loop Error:", err);
     }
@@ -1257,35 +3136,32 @@ function animate() {
 
     const dt = Math.min(clock.getDelta(), 0.1); // Cap dt
 
-    update(dt);
+    // Slow motion through a crash, easing back to real time as it plays out
+    const timeScale = world.crash ? lerp(0.2, 1, world.crash.time / CRASH_DURATION) : 1;
 
     if (state.isPlaying) {
-        // Camera System
-        const view = CAMERA_VIEWS[state.cameraIndex];
-
-        // Target position based on car + view offset
-        const targetX = playerCar.position.x + view.offset.x;
-        const targetY = view.offset.y;
-        const targetZ = playerCar.position.z + view.offset.z;
-
-        // Smooth lerp
-        camera.position.x = THREE.MathUtils.lerp(camera.position.x, targetX, dt * 3);
-        camera.position.y = THREE.MathUtils.lerp(camera.position.y, targetY, dt * 3);
-        camera.position.z = THREE.MathUtils.lerp(camera.position.z, targetZ, dt * 3);
-
-        // Shake logic
-        const shake = (state.speed / CONFIG.maxSpeed) * 0.1;
-        camera.position.x += (Math.random() - 0.5) * shake;
-        camera.position.y += (Math.random() - 0.5) * shake;
-
-        // Look At
-        const lookTarget = new THREE.Vector3(
-            playerCar.position.x + view.lookAtOffset.x,
-            playerCar.position.y + view.lookAtOffset.y,
-            playerCar.position.z + view.lookAtOffset.z
-        );
-        camera.lookAt(lookTarget);
+        accumulator += dt * timeScale;
+        while (accumulator >= FIXED_DT && state.isPlaying) {
+            update(FIXED_DT);
+            accumulator -= FIXED_DT;
+        }
+    }
+
+    if (state.isPlaying) {
+        const alpha = accumulator / FIXED_DT;
+        renderWorld(world, alpha, dt * timeScale);
+        updateHud(world, alpha);
+        if (world.crash) {
+            updateCrashCamera(dt);
+        } else {
+            updateChaseCamera(dt);
+        }
     } else {
+        // Garage preview: slowly turn the selected car
+        if (!state.gameOver) {
+            playerCar.rotation.y += dt * 0.4;
+        }
+
         // Idle camera animation
         camera.position.x = Math.sin(Date.now() * 0.0005) * 20;
         camera.position.y = 15;
@@ -1296,6 +3172,45 @@ function animate() {
     renderer.render(scene, camera);
 }
 
+// Crash cam: circle the wreck
+function updateCrashCamera(dt) {
+    crashOrbit += dt * 0.6;
+    const target = playerCar.position;
+    camera.position.set(
+        target.x + Math.cos(crashOrbit) * CRASH_ORBIT_RADIUS,
+        target.y + 3.5,
+        target.z + Math.sin(crashOrbit) * CRASH_ORBIT_RADIUS
+    );
+    camera.lookAt(target);
+}
+
+function updateChaseCamera(dt) {
+    // Camera System
+    const view = CAMERA_VIEWS[state.cameraIndex];
+
+    // Target position based on car + view offset, swung round with the car's
+    // heading and tilted up or down the hill it's on
+    cameraTurn.set(playerCar.userData.slope, playerCar.userData.heading, 0);
+    const offset = view.offset.clone().applyEuler(cameraTurn);
+    const targetX = playerCar.position.x + offset.x;
+    const targetY = playerCar.position.y + offset.y;
+    const targetZ = playerCar.position.z + offset.z;
+
+    // Smooth lerp (follows the interpolated car, so no tick judder)
+    camera.position.x = lerp(camera.position.x, targetX, dt * 3);
+    camera.position.y = lerp(camera.position.y, targetY, dt * 3);
+    camera.position.z = lerp(camera.position.z, targetZ, dt * 3);
+
+    // Shake logic
+    const shake = (world.player.speed / world.player.stats.topSpeed) * 0.1;
+    camera.position.x += (fxRandom() - 0.5) * shake;
+    camera.position.y += (fxRandom() - 0.5) * shake;
+
+    // Look At
+    const lookTarget = view.lookAtOffset.clone().applyEuler(cameraTurn).add(playerCar.position);
+    camera.lookAt(lookTarget);
+}
+
 // Initial setup
 playerCar.position.y = 0;
 // Tilt camera down
@@ -0,0 +1,68 @@
+// --- GHOST ---
+// The ghost is the player's best run (per car and mode), stored as a replay.
+// It drives its own headless world in lockstep with the live one, so only its
+// position is borrowed; its traffic never interacts with the player.
+
+import { createWorld, stepWorld } from './simulation.js';
+import { createReplayReader, parseReplay, serializeReplay } from './replay.js';
+
+const STORAGE_PREFIX = 'highwayRacer.ghost';
+
+export function ghostKey(car, mode) {
+    return `${STORAGE_PREFIX}.${car}.${mode}`;
+}
+
+function getStorage(storage) {
+    return storage || globalThis.localStorage || null;
+}
+
+export function loadGhost(car, mode, storage) {
+    const store = getStorage(storage);
+    if (!store) return null;
+
+    const text = store.getItem(ghostKey(car, mode));
+    if (!text) return null;
+    try {
+        return parseReplay(text);
+    } catch (err) {
+        console.warn(`Ignoring stored ghost for ${car}/${mode}:`, err.message);
+        return null;
+    }
+}
+
+// Unconditionally becomes the ghost for its car and mode (e.g. a friend's run)
+export function saveGhost(replay, storage) {
+    const store = getStorage(storage);
+    if (!store) return;
+    store.setItem(ghostKey(replay.car, replay.mode), serializeReplay(replay));
+}
+
+// Keeps the replay only if it beats the stored ghost. Returns true when saved.
+export function offerGhost(replay, storage) {
+    const current = loadGhost(replay.car, replay.mode, storage);
+    if (current && current.score >= replay.score) return false;
+    saveGhost(replay, storage);
+    return true;
+}
+
+export function createGhostRunner(replay) {
+    const world = createWorld({ seed: replay.seed, mode: replay.mode, car: replay.car, player: replay.hull, traffic: replay.traffic });
+    const reader = createReplayReader(replay);
+
+    return {
+        world,
+        replay,
+
+        // One tick, called right after the live world's tick
+        step() {
+            if (world.gameOver || reader.done(world.tick)) return;
+            const { keys, commands } = reader.inputAt(world.tick);
+            stepWorld(world, { ...keys, honk: commands.includes('honk') });
+        },
+
+        // Positive: ghost is ahead of `liveWorld`
+        deltaTo(liveWorld) {
+            return world.distance - liveWorld.distance;
+        },
+    };
+}
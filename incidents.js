@@ -0,0 +1,43 @@
+// --- INCIDENTS ---
+// Now and then there's trouble on the road ahead: an accident is reported
+// well before it can be seen (the HUD warns and a roadside sign counts down),
+// and as it comes into range a traffic car spins out there and stops across
+// its lane with the hazard lights on. Traffic behind brakes for it and swerves
+// around it (drivers.js), the player has to as well.
+//
+// world.incident is { z, x, car }: where on the road it happens (z scrolls
+// towards the player like everything else), and the car that spun out once it
+// has. A spun-out car is `disabled` and ignores its driver from then on.
+
+const SPIN_DECEL = 8; // units/s², tyres scrubbing sideways
+const SPIN_RATE = 5; // rad/s at the start of the spin, either way
+const SPIN_DAMPING = 1.5; // 1/s
+
+// Only ever in a lane going the player's way
+export function createIncident(world) {
+    const { config, random } = world;
+    const lanes = config.lanes.filter((x, i) => config.laneDirections[i] > 0);
+    return {
+        z: config.incidentZ,
+        x: lanes[Math.floor(random() * lanes.length)],
+        car: null,
+    };
+}
+
+// Throw a traffic car into a spin, ending up stopped across its lane
+export function spinOut(car, random) {
+    car.disabled = true;
+    car.hazards = true;
+    car.spin = SPIN_RATE * (random() < 0.5 ? -1 : 1) * (0.7 + random() * 0.6);
+    car.isChangingLane = false;
+    car.signal = 0;
+    car.braking = true;
+}
+
+// A disabled car only slides to a stop, spinning down as it goes
+export function stepSpin(car, dt) {
+    car.speed = Math.max(0, car.speed - SPIN_DECEL * dt);
+    car.yaw += car.spin * dt;
+    car.spin *= Math.max(0, 1 - SPIN_DAMPING * dt);
+    car.braking = car.speed > 0;
+}
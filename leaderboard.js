@@ -0,0 +1,114 @@
+// --- LEADERBOARD ---
+// Local high scores kept in localStorage. Entries are plain objects:
+// { name, date (ISO string), car, mode, score, distance, seed }.
+// Boards exported from other machines can be merged in; duplicates are dropped.
+
+const STORAGE_KEY = 'highwayRacer.leaderboard';
+const NAME_KEY = 'highwayRacer.playerName';
+const MAX_ENTRIES = 200;
+export const LEADERBOARD_VERSION = 1;
+
+function getStorage(storage) {
+    return storage || globalThis.localStorage || null;
+}
+
+function entryKey(entry) {
+    return `${entry.name}|${entry.date}|${entry.seed}|${entry.score}`;
+}
+
+function sortEntries(entries) {
+    return entries.sort((a, b) => b.score - a.score || a.date.localeCompare(b.date));
+}
+
+function isValidEntry(entry) {
+    return entry &&
+        typeof entry.name === 'string' &&
+        typeof entry.date === 'string' &&
+        typeof entry.car === 'string' &&
+        typeof entry.mode === 'string' &&
+        Number.isFinite(entry.score) &&
+        Number.isFinite(entry.distance) &&
+        Number.isInteger(entry.seed);
+}
+
+export function loadLeaderboard(storage) {
+    const store = getStorage(storage);
+    if (!store) return [];
+    try {
+        const data = JSON.parse(store.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(data) ? data.filter(isValidEntry) : [];
+    } catch (err) {
+        console.warn('Ignoring corrupt leaderboard:', err.message);
+        return [];
+    }
+}
+
+function saveLeaderboard(entries, storage) {
+    const store = getStorage(storage);
+    if (!store) return;
+    store.setItem(STORAGE_KEY, JSON.stringify(sortEntries(entries).slice(0, MAX_ENTRIES)));
+}
+
+// Adds a run and returns the stored entry
+export function addEntry(run, storage) {
+    const entry = {
+        name: (run.name || '').trim().slice(0, 16) || 'PLAYER',
+        date: run.date || new Date().toISOString(),
+        car: run.car,
+        mode: run.mode,
+        score: Math.floor(run.score),
+        distance: Math.floor(run.distance),
+        seed: run.seed,
+    };
+    const entries = loadLeaderboard(storage);
+    entries.push(entry);
+    saveLeaderboard(entries, storage);
+    return entry;
+}
+
+// `filter` values of 'all' (or missing) match everything
+export function filterEntries(entries, filter = {}) {
+    return entries.filter(e =>
+        (!filter.car || filter.car === 'all' || e.car === filter.car) &&
+        (!filter.mode || filter.mode === 'all' || e.mode === filter.mode)
+    );
+}
+
+export function exportLeaderboard(storage) {
+    return JSON.stringify({ version: LEADERBOARD_VERSION, entries: loadLeaderboard(storage) });
+}
+
+// Merges an exported board into ours. Returns how many new entries were added.
+export function importLeaderboard(text, storage) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Leaderboard is not valid JSON');
+    }
+    if (!data || data.version !== LEADERBOARD_VERSION || !Array.isArray(data.entries)) {
+        throw new Error('Not a leaderboard export');
+    }
+
+    const entries = loadLeaderboard(storage);
+    const known = new Set(entries.map(entryKey));
+    let added = 0;
+    data.entries.filter(isValidEntry).forEach(entry => {
+        if (known.has(entryKey(entry))) return;
+        known.add(entryKey(entry));
+        entries.push(entry);
+        added++;
+    });
+    saveLeaderboard(entries, storage);
+    return added;
+}
+
+export function loadPlayerName(storage) {
+    const store = getStorage(storage);
+    return (store && store.getItem(NAME_KEY)) || '';
+}
+
+export function savePlayerName(name, storage) {
+    const store = getStorage(storage);
+    if (store) store.setItem(NAME_KEY, name);
+}
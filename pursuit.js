@@ -0,0 +1,226 @@
+// --- POLICE PURSUIT ---
+// Rules for the 'pursuit' mode. Speeding through a speed-trap gantry or
+// crashing into traffic raises the wanted level (0 to 5 stars). While wanted,
+// police cars join from behind and ahead: the ones behind ram the player, the
+// ones ahead get in front and box the player in, and from ROADBLOCK_LEVEL up
+// they park across the road ahead with one lane left open. Getting out of
+// sight of every police car for EVADE_DISTANCE drops the level by one.
+//
+// world.pursuit holds the state; simulation.js spawns the cars this asks for.
+// Police cars are traffic cars of type 'police' with `chasing` set, driven
+// by driveChaser instead of a traffic driver.
+
+import { laneClosed } from './roadworks.js';
+
+export const MAX_WANTED = 5;
+export const SPEED_LIMIT = 55; // units/s (110 KM/H on the HUD) at the speed traps
+export const EVADE_DISTANCE = 800; // Distance to cover out of sight to lose a star
+export const ROADBLOCK_LEVEL = 3;
+
+const TRAP_SPACING = 700; // Distance between speed traps
+const TRAP_Z = -400; // Where the next one comes into view
+const IMPACT_COOLDOWN = 3; // Seconds before another crash into traffic counts
+const IMPACT_DAMAGE = 2; // Health lost that makes it a crash rather than a nudge
+const SIGHT = 80; // How close (along the road) a police car has to be to see the player
+const SPAWN_DELAY = 3; // Seconds between police cars joining
+const ROADBLOCK_SPACING = 1200; // Distance between roadblocks
+const ROADBLOCK_STAGGER = 7; // Along the road between the parked cars, so they don't overlap
+
+// Chasing
+const CHASE_TOP = 140; // units/s
+const CHASE_ACCEL = 20; // units/s²
+const CHASE_LANE_SPEED = 8; // Sideways, units/s
+const RAM_SPEED = 12; // How much faster than the player a rammer closes in
+const RAM_COOLDOWN = 2; // Seconds a rammer backs off after a hit
+const BLOCK_GAP = 12; // How far ahead of the player a blocker sits
+const BLOCK_GAP_CLOSE = 5; // ... from level 4, to brake-check
+const BLOCK_GAIN = 0.5; // 1/s, how hard a blocker corrects its distance
+const BLOCK_SLOWEST = 0.6; // Share of the player's speed a blocker won't go below
+const ROADBLOCK_AWARE = 100; // How far ahead a blocker spots a roadblock and heads for the gap
+
+export function createPursuit() {
+    return {
+        wanted: 0,
+        evade: 0, // Distance covered out of sight at this level
+        traps: [], // { z, flashed }
+        nextTrap: TRAP_SPACING, // world.distance of the next speed trap
+        nextRoadblock: 0, // world.distance of the next roadblock, once wanted enough
+        lastImpact: -Infinity, // world.time of the last crash that counted
+        spawnTimer: 0,
+    };
+}
+
+// How many police cars should be after the player at this level
+export function policeWanted(wanted) {
+    return Math.min(4, wanted);
+}
+
+function raiseWanted(world, reason) {
+    const pursuit = world.pursuit;
+    pursuit.wanted = Math.min(MAX_WANTED, pursuit.wanted + 1);
+    pursuit.evade = 0;
+    if (pursuit.wanted >= ROADBLOCK_LEVEL && pursuit.nextRoadblock < world.distance) {
+        pursuit.nextRoadblock = world.distance + ROADBLOCK_SPACING / 2;
+    }
+    world.events.push({ type: 'wanted', level: pursuit.wanted, reason });
+}
+
+// Offences, speed traps and evading. Runs after the traffic, so this step's
+// impact events are already in world.events.
+export function updateWanted(world, dt) {
+    const { player } = world;
+    const pursuit = world.pursuit;
+
+    world.events.forEach(e => {
+        if (e.type !== 'impact') return;
+        if (e.car.chasing) {
+            e.car.rammedAt = world.time;
+        } else if (e.damage >= IMPACT_DAMAGE && world.time - pursuit.lastImpact > IMPACT_COOLDOWN) {
+            pursuit.lastImpact = world.time;
+            raiseWanted(world, 'crash');
+        }
+    });
+
+    // Speed traps scroll towards the player like the road and flash as it passes under
+    if (world.distance >= pursuit.nextTrap) {
+        pursuit.traps.push({ z: TRAP_Z, flashed: false });
+        pursuit.nextTrap += TRAP_SPACING;
+    }
+    pursuit.traps.forEach(trap => {
+        const before = trap.z;
+        trap.z += player.forwardSpeed * dt;
+        if (before < 0 && trap.z >= 0) {
+            const caught = player.speed > SPEED_LIMIT;
+            world.events.push({ type: 'speedTrap', speed: player.speed, caught });
+            if (caught) {
+                trap.flashed = true;
+                raiseWanted(world, 'speeding');
+            }
+        }
+    });
+    pursuit.traps = pursuit.traps.filter(trap => trap.z < 50);
+
+    // Out of sight of every police car for long enough: one star less
+    if (pursuit.wanted === 0) return;
+    const seen = world.traffic.some(car => car.chasing && Math.abs(car.z - player.z) < SIGHT);
+    pursuit.evade = seen ? 0 : pursuit.evade + player.forwardSpeed * dt;
+    if (pursuit.evade >= EVADE_DISTANCE) {
+        pursuit.wanted--;
+        pursuit.evade = 0;
+        world.events.push({ type: 'wanted', level: pursuit.wanted, reason: 'evaded' });
+        if (pursuit.wanted === 0) {
+            // Called off: whoever is still about goes back to patrolling
+            world.traffic.forEach(car => {
+                if (!car.chasing) return;
+                car.chasing = false;
+                car.emergency = false;
+                car.driver = 'normal';
+                car.desiredSpeed = 25;
+            });
+        }
+    }
+}
+
+// Is it time for another police car, and should it come from ahead (a blocker)
+// or behind (a rammer)? Returns 'ahead', 'behind' or null.
+export function nextPoliceSpawn(world, dt) {
+    const pursuit = world.pursuit;
+    pursuit.spawnTimer -= dt;
+    if (pursuit.spawnTimer > 0) return null;
+
+    const chasers = world.traffic.filter(car => car.chasing);
+    if (chasers.length >= policeWanted(pursuit.wanted)) return null;
+    pursuit.spawnTimer = SPAWN_DELAY;
+    const blockers = chasers.filter(car => car.role === 'blocker').length;
+    return blockers < Math.floor(chasers.length / 2) + (chasers.length % 2) ? 'ahead' : 'behind';
+}
+
+// Turn a freshly spawned police car into a chaser. Blockers after the first
+// take the lanes either side of the player to box them in.
+export function startChase(world, car, role) {
+    const blockers = world.traffic.filter(other => other.chasing && other.role === 'blocker').length;
+    car.chasing = true;
+    car.role = role;
+    car.laneOffset = role === 'blocker' ? [0, -1, 1][blockers % 3] : 0;
+    car.speed = role === 'blocker' ? world.player.forwardSpeed * BLOCK_SLOWEST : world.player.forwardSpeed + RAM_SPEED;
+}
+
+// Is a roadblock due? Only from ROADBLOCK_LEVEL, one at a time.
+export function roadblockDue(world) {
+    const pursuit = world.pursuit;
+    if (pursuit.wanted < ROADBLOCK_LEVEL || world.distance < pursuit.nextRoadblock) return false;
+    if (world.traffic.some(car => car.roadblock)) return false;
+    pursuit.nextRoadblock = world.distance + ROADBLOCK_SPACING;
+    return true;
+}
+
+// Can the player get through lane `lane` at a roadblock around z? Only a lane
+// going its way and clear of road works there
+function passable(world, lane, z) {
+    return world.config.laneDirections[lane] > 0 && !laneClosed(world, lane, z + ROADBLOCK_AWARE, 2 * ROADBLOCK_AWARE);
+}
+
+// The lane a roadblock parked at z leaves open, drawn from the passable ones;
+// -1 if there's none (road works across the rest of the road)
+export function roadblockOpening(world, z) {
+    const usable = world.config.lanes.map((x, lane) => lane).filter(lane => passable(world, lane, z));
+    if (!usable.length) return -1;
+    return usable[Math.floor(world.random() * usable.length)];
+}
+
+// Park a police car across its lane for a roadblock; `index` staggers them
+export function parkAcross(car, index) {
+    car.roadblock = true;
+    car.disabled = true; // Not driving any more, traffic swerves around it like a wreck
+    car.spin = 0;
+    car.speed = 0;
+    car.yaw = index % 2 ? 1.2 : -1.2;
+    car.prevYaw = car.yaw;
+    car.z -= index * ROADBLOCK_STAGGER;
+    car.prevZ = car.z;
+}
+
+function approach(value, target, step) {
+    return value < target ? Math.min(target, value + step) : Math.max(target, value - step);
+}
+
+// The lane a roadblock ahead of `car` leaves open, or -1 if there's none in sight
+function roadblockGap(world, car) {
+    const lanes = world.config.lanes;
+    const parked = world.traffic.filter(other => other.roadblock && other.z < car.z && other.z > car.z - ROADBLOCK_AWARE);
+    if (!parked.length) return -1;
+    return lanes.findIndex((x, lane) => passable(world, lane, car.z) && parked.every(other => Math.abs(other.x - x) > 1));
+}
+
+// Police driving: rammers come up behind the player and hit it (backing off
+// for a moment after each hit), blockers sit just ahead of it and go through
+// the gap in a roadblock. `playerLane` is the index of the lane the player is in.
+export function driveChaser(world, car, playerLane, dt) {
+    const { player, config } = world;
+    const lanes = config.lanes;
+    let target;
+    let lane = playerLane;
+
+    if (car.role === 'blocker') {
+        const gap = world.pursuit.wanted >= 4 ? BLOCK_GAP_CLOSE : BLOCK_GAP;
+        target = player.forwardSpeed + BLOCK_GAIN * (car.z + gap);
+        target = Math.max(target, player.forwardSpeed * BLOCK_SLOWEST);
+        const open = roadblockGap(world, car);
+        lane = open >= 0 ? open : Math.max(0, Math.min(lanes.length - 1, playerLane + car.laneOffset));
+        if (laneClosed(world, lane, car.z, ROADBLOCK_AWARE)) lane = playerLane; // Not through the cones
+    } else {
+        const backingOff = world.time - (car.rammedAt ?? -Infinity) < RAM_COOLDOWN;
+        const behind = car.z > player.z;
+        target = player.forwardSpeed + (behind && !backingOff ? RAM_SPEED : -RAM_SPEED);
+    }
+
+    const before = car.speed;
+    car.speed = approach(car.speed, Math.max(0, Math.min(CHASE_TOP, target)), CHASE_ACCEL * dt);
+    car.braking = car.speed < before;
+
+    if (!car.isChangingLane && Math.abs(car.x - lanes[lane]) > 0.1) {
+        car.isChangingLane = true;
+        car.targetLaneX = lanes[lane];
+        car.laneSpeed = CHASE_LANE_SPEED;
+    }
+}
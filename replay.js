@@ -0,0 +1,138 @@
+// --- REPLAYS ---
+// A run is fully described by its seed plus the inputs fed to each simulation
+// tick, so that is all a replay stores. Key state is only written when it
+// changes and one-off commands (honk, headlight flash, camera switch) are
+// stamped with their tick, which keeps exported files small.
+
+import { SIM_CONFIG, SIM_VERSION, createWorld, stepWorld } from './simulation.js';
+
+export const REPLAY_VERSION = 1;
+
+const KEY_BITS = { left: 1, right: 2, up: 4, down: 8 };
+const COMMANDS = ['honk', 'flash', 'camera'];
+
+export function packKeys(keys) {
+    let mask = 0;
+    for (const key in KEY_BITS) {
+        if (keys[key]) mask |= KEY_BITS[key];
+    }
+    return mask;
+}
+
+export function unpackKeys(mask) {
+    const keys = {};
+    for (const key in KEY_BITS) {
+        keys[key] = (mask & KEY_BITS[key]) !== 0;
+    }
+    return keys;
+}
+
+// `meta` is whatever is needed to rebuild the world: seed, car, mode, the
+// player's collision box (`hull`, { width, length, height } measured from the
+// mesh it drove) and the traffic's (`traffic`, per kind of vehicle, measured
+// the same way; older replays have none and get the simulation's own sizes).
+// The renderer adds the biome and time of day picked on the start screen
+// (null and 'cycle' for the seed's), they only change the scenery.
+export function createRecorder(meta) {
+    const inputs = []; // Flat [tick, mask, tick, mask, ...]
+    const commands = []; // [[tick, name], ...]
+    let lastMask = -1;
+
+    return {
+        // Call once per tick, before stepping, with the inputs for that tick
+        record(tick, keys, tickCommands = []) {
+            const mask = packKeys(keys);
+            if (mask !== lastMask) {
+                inputs.push(tick, mask);
+                lastMask = mask;
+            }
+            tickCommands.forEach(name => commands.push([tick, name]));
+        },
+
+        finish(world) {
+            return {
+                version: REPLAY_VERSION,
+                sim: SIM_VERSION,
+                tickRate: SIM_CONFIG.tickRate,
+                ...meta,
+                ticks: world.tick,
+                score: Math.floor(world.score),
+                inputs: inputs.slice(),
+                commands: commands.map(c => c.slice()),
+            };
+        },
+    };
+}
+
+// Sequential reader: ask for tick 0, 1, 2... in order
+export function createReplayReader(replay) {
+    let inputIdx = 0;
+    let commandIdx = 0;
+    let keys = unpackKeys(0);
+
+    return {
+        inputAt(tick) {
+            while (inputIdx < replay.inputs.length && replay.inputs[inputIdx] <= tick) {
+                keys = unpackKeys(replay.inputs[inputIdx + 1]);
+                inputIdx += 2;
+            }
+            const commands = [];
+            while (commandIdx < replay.commands.length && replay.commands[commandIdx][0] <= tick) {
+                commands.push(replay.commands[commandIdx][1]);
+                commandIdx++;
+            }
+            return { keys, commands };
+        },
+
+        done(tick) {
+            return tick >= replay.ticks;
+        },
+    };
+}
+
+export function serializeReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+// Throws on anything that doesn't look like a replay we can play back
+export function parseReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error('Replay is not valid JSON');
+    }
+
+    if (!data || typeof data !== 'object') throw new Error('Replay is empty');
+    if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}`);
+    if (data.sim !== SIM_VERSION) throw new Error('Replay was recorded with a different version of the game rules');
+    if (data.tickRate !== SIM_CONFIG.tickRate) throw new Error(`Replay was recorded at ${data.tickRate} Hz, game runs at ${SIM_CONFIG.tickRate} Hz`);
+    if (!Number.isInteger(data.seed) || data.seed < 0) throw new Error('Replay has no valid seed');
+    if (typeof data.car !== 'string' || typeof data.mode !== 'string') throw new Error('Replay has no car or mode');
+    const validBox = box => Boolean(box) && box.width > 0 && box.length > 0;
+    if (!validBox(data.hull)) throw new Error('Replay has no collision box');
+    if (data.traffic !== undefined && (!data.traffic || typeof data.traffic !== 'object' || !Object.values(data.traffic).every(validBox))) {
+        throw new Error('Replay has malformed traffic boxes');
+    }
+    if (!Number.isInteger(data.ticks) || data.ticks < 0) throw new Error('Replay has no valid length');
+    if (!Array.isArray(data.inputs) || data.inputs.length % 2 !== 0 || !data.inputs.every(Number.isInteger)) {
+        throw new Error('Replay inputs are malformed');
+    }
+    if (!Array.isArray(data.commands) || !data.commands.every(c => Array.isArray(c) && Number.isInteger(c[0]) && COMMANDS.includes(c[1]))) {
+        throw new Error('Replay commands are malformed');
+    }
+    return data;
+}
+
+// Headless playback: rebuilds the world and drives it with the logged inputs.
+// Used to verify a claimed score without rendering anything.
+export function runReplay(replay) {
+    const world = createWorld({ seed: replay.seed, mode: replay.mode, car: replay.car, player: replay.hull, traffic: replay.traffic });
+    const reader = createReplayReader(replay);
+
+    while (!world.gameOver && !reader.done(world.tick)) {
+        const { keys, commands } = reader.inputAt(world.tick);
+        stepWorld(world, { ...keys, honk: commands.includes('honk') });
+    }
+    return world;
+}
@@ -0,0 +1,47 @@
+// --- SEEDED RANDOM ---
+// Every random decision in the game goes through one of these instead of
+// Math.random(), so a run can be reproduced from its seed.
+
+// Mulberry32: tiny, fast and good enough for gameplay
+export function createRng(seed) {
+    let a = seed >>> 0;
+    const random = () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    random.seed = seed >>> 0;
+    return random;
+}
+
+// Independent stream for a subsystem (scenery, particles...), so drawing more
+// or fewer numbers there never shifts the gameplay sequence.
+export function deriveRng(seed, salt) {
+    return createRng(hashString(`${seed >>> 0}:${salt}`));
+}
+
+// FNV-1a, used to turn text seeds ("daily-2026-10-19") into numbers
+export function hashString(str) {
+    let h = 0x811C9DC5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Numeric strings are used as-is, anything else is hashed. Returns null for empty input.
+export function parseSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    return hashString(text);
+}
+
+// The one place allowed to use Math.random: picking a seed for a fresh run
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
@@ -0,0 +1,21 @@
+// --- ROAD LAYOUT ---
+// The road's cross-section as data: how many lanes, how wide they are, how
+// much shoulder there is beyond the outer ones and how many lanes (from the
+// left) carry oncoming traffic. Everything across the road derives from it:
+// the lane centres traffic drives on, the barriers the player is kept within
+// and the lane markings and scenery the renderer lays out.
+
+export const MIN_LANES = 2;
+export const MAX_LANES = 6;
+
+// From the layout settings in the config (laneCount, laneWidth, shoulderWidth,
+// oncomingLanes) to { lanes, laneDirections, edge, width }: lane centre x
+// positions left to right, which way each lane drives (1 with the player, -1
+// oncoming), and the road edge (x of the right-hand barrier) and full width.
+export function roadLayout(config) {
+    const count = Math.max(MIN_LANES, Math.min(MAX_LANES, Math.round(config.laneCount)));
+    const lanes = Array.from({ length: count }, (_, i) => (i - (count - 1) / 2) * config.laneWidth);
+    const laneDirections = lanes.map((x, i) => i < config.oncomingLanes ? -1 : 1);
+    const edge = count * config.laneWidth / 2 + config.shoulderWidth;
+    return { lanes, laneDirections, edge, width: edge * 2 };
+}
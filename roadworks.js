@@ -0,0 +1,82 @@
+// --- ROAD WORKS AND MERGES ---
+// The road changes along its length: every so often a stretch comes up where
+// lanes are closed. Either an outer lane ends and its traffic merges into the
+// next one ('merge'), or road works close one or two lanes behind cones and
+// barriers and bring the speed limit down ('works'). Both are announced with
+// roadside signs well before they start (game.js).
+//
+// world.zones holds them as { kind, z, length, closed, limit }: z is where the
+// closure starts (it scrolls towards the player like everything else) and it
+// runs `length` further ahead, closing the lanes whose indices are in `closed`.
+//
+// Traffic sees each closed lane as a stopped obstacle (closuresOf), so drivers
+// brake for it and zip into the lanes left open like they swerve around a
+// spun-out car. Only lanes going the player's way are ever closed, and at least
+// one of them always stays open.
+
+const WORKS_CHANCE = 0.6; // The rest are merges
+const TWO_LANES_CHANCE = 0.4; // Road works closing two lanes, when there are enough
+const MERGE_LENGTH = 250;
+const WORKS_LENGTH = 200; // ... up to twice that
+const CLOSURE_WIDTH = 0.8; // Share of the lane the cones take up, the lanes beside stay clear
+const SLOW_DOWN = 50; // How far before road works traffic keeps to the limit
+
+// A new zone config.zoneZ ahead, or null if there aren't enough lanes to close one
+function createZone(world) {
+    const { config, random } = world;
+    const open = config.laneDirections.flatMap((d, i) => d > 0 ? [i] : []);
+    if (open.length < 2) return null;
+
+    if (random() >= WORKS_CHANCE) {
+        // The right-hand lane ends
+        return { kind: 'merge', z: config.zoneZ, length: MERGE_LENGTH, closed: [open[open.length - 1]], limit: null };
+    }
+    const count = open.length >= 3 && random() < TWO_LANES_CHANCE ? 2 : 1;
+    const closed = random() < 0.5 ? open.slice(0, count) : open.slice(-count);
+    const length = WORKS_LENGTH * (1 + random());
+    return { kind: 'works', z: config.zoneZ, length, closed, limit: config.worksSpeedLimit };
+}
+
+// Place the next zone by distance travelled, scroll them along as the player
+// gets along the road (not at all while held up at the end of one, see
+// updateRoadworks in simulation.js) and drop the ones left behind. Returns the
+// zone placed this step, if any.
+export function updateZones(world, dt) {
+    const { config, player, random } = world;
+    world.zones.forEach(zone => {
+        zone.z += player.forwardSpeed * dt;
+    });
+    world.zones = world.zones.filter(zone => zone.z - zone.length < config.despawnZ);
+
+    // Not on top of an accident, it would close the lanes left open
+    if (world.distance < world.nextZone || world.incident) return null;
+    world.nextZone = world.distance + config.zoneSpacing * (0.5 + random());
+    const zone = createZone(world);
+    if (zone) world.zones.push(zone);
+    return zone;
+}
+
+// Every closed lane as a box on the road: { x, z, width, length, lane, zone }
+export function closuresOf(world) {
+    const { lanes } = world.config;
+    const laneWidth = lanes.length > 1 ? lanes[1] - lanes[0] : world.config.laneWidth;
+    return world.zones.flatMap(zone => zone.closed.map(lane => ({
+        x: lanes[lane],
+        z: zone.z - zone.length / 2,
+        width: laneWidth * CLOSURE_WIDTH,
+        length: zone.length,
+        lane,
+        zone,
+    })));
+}
+
+// Is lane `lane` closed anywhere from z to `range` ahead of it?
+export function laneClosed(world, lane, z, range) {
+    return world.zones.some(zone => zone.closed.includes(lane) && zone.z - zone.length < z && zone.z > z - range);
+}
+
+// Speed limit at z: road works and a short stretch before them, otherwise null
+export function speedLimitAt(world, z) {
+    const zone = world.zones.find(other => other.limit && z < other.z + SLOW_DOWN && z > other.z - other.length);
+    return zone ? zone.limit : null;
+}
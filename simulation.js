@@ -0,0 +1,847 @@
+// --- SIMULATION CORE ---
+// Headless game rules: speed, traffic (both ways), honk, road works, incidents,
+// emergency vehicles, police pursuits, weather, collisions, damage and scoring.
+// No DOM and no Three.js in here, only plain objects, so the same code drives
+// the browser game and can be stepped in Node (tests, CI soak runs).
+//
+// Coordinates follow the renderer: the player sits at z = 0 and the world
+// scrolls towards +Z, so anything ahead of the player has a negative z.
+// The road is straight in these coordinates: its bends and hills (track.js)
+// only come in through the player's steering and the renderer.
+//
+// All randomness comes from world.random, seeded from world.seed, so the same
+// seed and the same inputs always give the same run.
+
+import { createRng, randomSeed } from './rng.js';
+import { DEFAULT_CAR, getCar } from './cars.js';
+import { initVehicle, stepVehicle, applyImpulse } from './vehicle.js';
+import { MAX_HEALTH, createDamage, contactZone, impactDamage, applyDamage } from './damage.js';
+import { boxOf, extents, collideBoxes, createBroadphase } from './collision.js';
+import { CRASH_DURATION, startTumble, stepTumble } from './crash.js';
+import { createDriver, indexRoadUsers, updateDriver, updateSpeed } from './drivers.js';
+import { createIncident, spinOut, stepSpin } from './incidents.js';
+import { roadLayout } from './road.js';
+import { createTrack, trackAt } from './track.js';
+import { createWeather, weatherAt } from './weather.js';
+import { updateZones, closuresOf } from './roadworks.js';
+import { createPursuit, updateWanted, nextPoliceSpawn, startChase, roadblockDue, roadblockOpening, parkAcross, driveChaser } from './pursuit.js';
+
+// Bump whenever a rule change makes the same seed and inputs play out
+// differently; replays recorded under another version can't be reproduced.
+export const SIM_VERSION = 20;
+
+export const SIM_CONFIG = {
+    tickRate: 120, // Fixed simulation steps per second
+    startSpeed: 30, // Units per second
+    minSpeed: 15, // Approx 30 KM/H on display
+    friction: 5, // Coasting
+    trafficSpawnRate: 0.8, // Increased traffic density
+    // Road layout, see road.js. createWorld derives `lanes` (x positions),
+    // `laneDirections` and the road `edge` from these.
+    laneCount: 3, // 2 to 6
+    laneWidth: 3.5,
+    shoulderWidth: 1.75, // Beyond the outer lanes, up to the barrier
+    oncomingLanes: 0, // Counted from the left
+    barrierGap: 2, // Closest the player's centre gets to the barrier
+    trackCurves: 1, // Scales the bends, 0 for a straight road (track.js)
+    trackHills: 1, // Scales the crests and dips, 0 for a flat road
+    weather: true, // Rain, snow and fog banks along the road (weather.js), false keeps it clear
+    restitution: 0.2, // Bounce left in a car-to-car impact
+    crashBraking: 12, // How hard traffic behind a wreck stops
+    spawnZ: -100,
+    despawnZ: 20,
+    honkRange: 60,
+    zoneSpacing: 1500, // Average distance between road works and merges, see roadworks.js
+    zoneZ: -500, // How far ahead they're placed (and announced)
+    worksSpeedLimit: 40, // units/s (80 KM/H) through road works
+    worksPenalty: 10, // Points per second for going faster than that
+    incidentChance: 0.0002, // Per step, while there's no incident already
+    incidentZ: -400, // How far ahead an incident is reported
+    emergencyChance: 0.0003, // Per step, while there's no emergency vehicle about
+    emergencySpawnZ: 80, // How far behind the player they come from
+    blockRange: 25, // Bumper gap in front of an emergency vehicle that counts as in its way
+    yieldGrace: 1.5, // Seconds to get out of the way before it costs points
+    blockPenalty: 15, // Points per second for blocking it after that
+    policeAheadZ: -60, // Where police cars sent ahead of the player in a pursuit join
+    oncomingMinSpeed: 40, // Driving in an oncoming lane faster than this (80 KM/H) scores...
+    oncomingBonus: 20, // ... this many extra points per second
+    trainChance: 0.005, // Per step
+    trainSpeed: 120,
+};
+
+// The step every caller should use: results only repeat across machines when
+// the world always advances by the same dt
+export const FIXED_DT = 1 / SIM_CONFIG.tickRate;
+
+// 'classic' is the plain endless run, 'pursuit' adds the police (pursuit.js),
+// 'two-way' turns the left lane into oncoming traffic
+export const MODES = ['classic', 'pursuit', 'two-way'];
+
+// SIM_CONFIG overrides per mode
+const MODE_CONFIG = {
+    'two-way': { oncomingLanes: 1 },
+};
+
+export const TRAFFIC_COLORS = [0xff0055, 0xffaa00, 0x00ffaa, 0xaaaaaa, 0x5555ff];
+
+const LANE_CHANGE_SPEED = 10; // Honked or knocked out of the lane: no dawdling
+
+// Per kind of vehicle: its collision box, the mass and the slowest speed it
+// wants to cruise at (up to 5 units/s faster). The renderer measures the box
+// from its traffic meshes and passes it in (createWorld's `traffic`); these
+// sizes, taken off the same meshes, are only the fallback for headless runs.
+const TRAFFIC_SIZES = {
+    car: { width: 1.96, length: 3.92, height: 1.2, mass: 1400, cruise: 20 },
+    truck: { width: 2.5, length: 6.37, height: 2.75, mass: 8000, cruise: 16 },
+    police: { width: 1.96, length: 3.92, height: 1.7, mass: 1600, cruise: 65 },
+    ambulance: { width: 2.5, length: 6.37, height: 2.75, mass: 4000, cruise: 60 },
+    firetruck: { width: 2.5, length: 6.37, height: 2.93, mass: 12000, cruise: 55 },
+};
+
+export const TRAFFIC_TYPES = Object.keys(TRAFFIC_SIZES);
+
+// Come up from behind with sirens on, everyone else is meant to make way
+export const EMERGENCY_TYPES = ['police', 'ambulance', 'firetruck'];
+const TRAFFIC_GAP = 0.3; // Clearance left when pulling overlapping traffic apart
+const SEPARATION_PASSES = 8; // Most steps need one, a shunt down a platoon a few
+
+// Options: seed, mode, car (cars.js type; sets size and handling stats),
+// player ({ x, width, length, height } overrides, e.g. the collision box
+// measured from a loaded model), traffic ({ car: { width, length, height },
+// truck: ... }, the boxes measured from the traffic meshes) and config
+// (SIM_CONFIG overrides)
+export function createWorld(options = {}) {
+    const config = { ...SIM_CONFIG, ...MODE_CONFIG[options.mode], ...options.config };
+    Object.assign(config, roadLayout(config));
+    const player = options.player || {};
+    const seed = options.seed ?? randomSeed();
+    const car = options.car || DEFAULT_CAR;
+    const carConfig = getCar(car);
+    const weather = createWeather(seed, config.weather);
+    const measured = options.traffic || {};
+    const sizes = Object.fromEntries(TRAFFIC_TYPES.map(type => [type, { ...TRAFFIC_SIZES[type], ...measured[type] }]));
+
+    return {
+        config,
+        seed,
+        mode: options.mode || 'classic',
+        random: createRng(seed),
+        sizes, // Collision box, mass and cruising speed per kind of traffic
+        track: createTrack(seed, config.trackCurves, config.trackHills), // Bends and hills, see track.js
+        weather, // Which weather comes where, see weather.js
+        conditions: weatherAt(weather, 0), // The weather at the player, mixed through a change
+        tick: 0,
+        time: 0,
+        score: 0,
+        distance: 0,
+        prevDistance: 0,
+        timeSinceLastSpawn: 0,
+        nextId: 1,
+        gameOver: false,
+        wreck: null, // What finished the player off: { zone, other, speed }
+        crash: null, // The crash sequence playing after the wreck: { time, car }
+        incident: null, // Accident ahead, see incidents.js
+        zones: [], // Lane closures: road works and merges, see roadworks.js
+        nextZone: config.zoneSpacing, // world.distance where the next one is placed
+        speeding: false, // Over the limit through road works
+        blocking: 0, // Seconds the player has been in an emergency vehicle's way
+        oncoming: 0, // Seconds the player has been scoring in an oncoming lane, this stretch
+        pursuit: options.mode === 'pursuit' ? createPursuit() : null, // Wanted level and speed traps
+        player: initVehicle({
+            car,
+            stats: { ...carConfig.stats },
+            x: player.x || 0,
+            y: 0,
+            z: 0,
+            speed: config.startSpeed,
+            width: player.width || carConfig.bodyW,
+            length: player.length || carConfig.bodyL,
+            height: player.height || 0.6 + carConfig.bodyH / 2 + carConfig.cabinH,
+            roll: 0,
+            yaw: 0,
+            braking: false,
+            blocked: false, // Nose up against the end of a lane closure, see updateRoadworks
+            damage: createDamage(),
+            prevX: player.x || 0,
+            prevY: 0,
+            prevZ: 0,
+            prevRoll: 0,
+            prevYaw: 0,
+        }),
+        traffic: [],
+        broadphase: createBroadphase(),
+        train: null,
+        events: [],
+    };
+}
+
+function lerp(a, b, t) {
+    return a + (b - a) * t;
+}
+
+function emit(world, type, data) {
+    world.events.push({ type, ...data });
+}
+
+// Lane the x position is closest to
+export function nearestLane(world, x) {
+    let laneIdx = 0;
+    let minDist = Infinity;
+    world.config.lanes.forEach((lx, i) => {
+        if (Math.abs(x - lx) < minDist) {
+            minDist = Math.abs(x - lx);
+            laneIdx = i;
+        }
+    });
+    return laneIdx;
+}
+
+// Lanes (their indices) whose traffic drives `direction` (1 with the player, -1 oncoming)
+export function lanesGoing(world, direction) {
+    return world.config.laneDirections.flatMap((d, i) => d === direction ? [i] : []);
+}
+
+// Which way a car drives: 0 (facing -z, with the player) or PI (oncoming)
+function headingOf(car) {
+    return car.direction > 0 ? 0 : Math.PI;
+}
+
+// Spawns a car or truck in a random lane at config.spawnZ unless `at`
+// ({ x, z, type, direction }) says where and what. It drives the way its
+// lane goes unless told otherwise.
+export function spawnTraffic(world, at = {}) {
+    const { config, random } = world;
+    const laneX = at.x ?? config.lanes[Math.floor(random() * config.lanes.length)];
+    const z = at.z ?? config.spawnZ;
+    const direction = at.direction ?? config.laneDirections[nearestLane(world, laneX)];
+
+    // Make sure we don't spawn on top of another car too close, or in a closed lane
+    const tooClose = world.traffic.some(car => {
+        return Math.abs(car.z - z) < 25 && Math.abs(car.x - laneX) < 1;
+    });
+    const closed = closuresOf(world).some(closure => {
+        return Math.abs(closure.z - z) < closure.length / 2 + 10 && Math.abs(closure.x - laneX) < 1;
+    });
+    if (tooClose || closed) return null;
+
+    const color = TRAFFIC_COLORS[Math.floor(random() * TRAFFIC_COLORS.length)];
+    const type = at.type ?? (random() > 0.4 ? 'truck' : 'car'); // 60% chance of car, 40% truck
+    const emergency = EMERGENCY_TYPES.includes(type);
+    const driver = emergency ? 'emergency' : createDriver(random);
+    const size = world.sizes[type];
+    const desiredSpeed = size.cruise + random() * 5;
+
+    const car = {
+        id: world.nextId++,
+        type,
+        color,
+        x: laneX,
+        z,
+        direction, // 1 with the player, -1 oncoming
+        yaw: direction > 0 ? 0 : Math.PI,
+        prevX: laneX,
+        prevZ: z,
+        prevYaw: direction > 0 ? 0 : Math.PI,
+        width: size.width,
+        length: size.length,
+        height: size.height,
+        mass: size.mass,
+        desiredSpeed, // units/s, see updateSpeed in drivers.js
+        speed: desiredSpeed,
+        braking: false,
+        driver, // Personality, see drivers.js
+        thinkTimer: random() * 2,
+        signal: 0, // Turn signal: -1 left, 1 right
+        signalTimer: 0,
+        cutIn: false,
+        isChangingLane: false,
+        targetLaneX: laneX,
+        laneSpeed: LANE_CHANGE_SPEED,
+        disabled: false, // Spun out, see incidents.js
+        hazards: false,
+        emergency, // Siren on, wants everyone out of the way
+    };
+
+    world.traffic.push(car);
+    emit(world, 'spawn', { car });
+    return car;
+}
+
+// Ask the closest car ahead in the player's lane to move over.
+// Returns the car that reacted, or null.
+export function honk(world) {
+    const { player, config } = world;
+    const currentLaneIdx = nearestLane(world, player.x);
+    const playerLaneX = config.lanes[currentLaneIdx];
+
+    let closestCar = null;
+    let closestDist = config.honkRange;
+
+    world.traffic.forEach(car => {
+        // Ahead of the player (smaller z), in the same lane and within range
+        if (!car.disabled && !car.emergency && car.direction > 0 && Math.abs(car.x - playerLaneX) < 1.5 && car.z < player.z && car.z > -config.honkRange) {
+            const d = Math.abs(car.z - player.z);
+            if (d < closestDist) {
+                closestDist = d;
+                closestCar = car;
+            }
+        }
+    });
+
+    if (closestCar && !closestCar.isChangingLane) {
+        // Try move right, if valid. Else left. Never into oncoming traffic.
+        const sameWay = i => config.laneDirections[i] === config.laneDirections[currentLaneIdx];
+        let targetIdx = currentLaneIdx + 1;
+        if (targetIdx > config.lanes.length - 1 || !sameWay(targetIdx)) targetIdx = currentLaneIdx - 1;
+
+        if (targetIdx >= 0 && sameWay(targetIdx)) {
+            closestCar.isChangingLane = true;
+            closestCar.targetLaneX = config.lanes[targetIdx];
+            closestCar.laneSpeed = LANE_CHANGE_SPEED;
+            closestCar.signal = Math.sign(closestCar.targetLaneX - closestCar.x);
+        } else {
+            closestCar = null;
+        }
+    } else {
+        closestCar = null;
+    }
+    return closestCar;
+}
+
+function updatePlayer(world, input, dt) {
+    const { player, config } = world;
+    const limits = {
+        min: -config.edge + config.barrierGap,
+        max: config.edge - config.barrierGap,
+    };
+
+    // Steering, grip and speed live in vehicle.js; bends need steering into,
+    // rain and snow take grip and braking away
+    const { grip, braking } = world.conditions;
+    const road = { curve: trackAt(world.track, world.distance).curve, grip, braking };
+    const impact = stepVehicle(player, input, config, limits, road, dt);
+    if (impact > 0) {
+        const zone = player.x < 0 ? 'left' : 'right';
+        const amount = impactDamage(impact, player.stats.mass, Infinity);
+        emit(world, 'scrape', { x: player.x, zone, damage: amount, speed: impact });
+        if (applyDamage(player.damage, zone, amount)) {
+            const side = Math.sign(player.x);
+            wreck(world, null, { zone, other: 'barrier', speed: impact }, { x: side, z: 0 }, { x: player.x + side * player.width / 2, z: 0 });
+        }
+    }
+}
+
+// The player's car is destroyed: it and the car it hit are thrown into a
+// tumble and stepCrash plays the sequence out. `normal` points from the
+// player towards what it hit, `point` is where they met.
+function wreck(world, car, cause, normal, point) {
+    const { player, random } = world;
+    const hit = cause.speed;
+    const jitter = () => random() * 2 - 1;
+
+    // Velocity after the impact, in road coordinates
+    const sin = Math.sin(player.yaw);
+    const cos = Math.cos(player.yaw);
+    const vx = -player.speed * sin - player.v * cos;
+    const vz = -(player.speed * cos - player.v * sin);
+
+    startTumble(player, { x: vx, y: 2 + hit * 0.1, z: vz }, {
+        pitch: normal.z * hit * 0.05 + jitter(),
+        yaw: player.yawRate + jitter() * 2,
+        roll: normal.x * hit * 0.08 + jitter(),
+    });
+    player.speed = 0;
+    player.braking = true;
+
+    if (car) {
+        startTumble(car, { x: normal.x * hit * 0.3, y: 1 + hit * 0.05, z: -car.direction * car.speed }, {
+            pitch: -normal.z * hit * 0.03 + jitter(),
+            yaw: jitter() * 2,
+            roll: -normal.x * hit * 0.05 + jitter(),
+        });
+    }
+
+    world.wreck = cause;
+    world.crash = { time: 0, car };
+    emit(world, 'crash', { car, ...cause, point });
+}
+
+// After a wreck: no input and no score, just the tumble and the traffic
+// reacting to it, until the run is over. The player's wreck stays at z = 0
+// as always and the world keeps scrolling past at its sliding speed.
+function stepCrash(world, dt) {
+    const { player, config, crash } = world;
+    savePrevious(world);
+    world.tick++;
+    world.time += dt;
+    crash.time += dt;
+
+    player.forwardSpeed = -player.tumble.vz;
+    world.distance += player.forwardSpeed * dt;
+    world.conditions = weatherAt(world.weather, world.distance);
+    stepTumble(player, dt);
+    player.z = 0;
+
+    world.traffic.forEach(car => {
+        if (car.tumble) {
+            stepTumble(car, dt);
+            car.z += player.forwardSpeed * dt;
+            return;
+        }
+        // Cars level with or heading for the wreck brake to a stop, the rest drive off
+        const approaching = car.direction > 0 ? car.z > -car.length : car.z < car.length;
+        if (car.disabled) {
+            stepSpin(car, dt);
+        } else if (approaching) {
+            car.speed = Math.max(0, car.speed - config.crashBraking * dt);
+            car.braking = true;
+        }
+        car.z += (player.forwardSpeed - car.direction * car.speed) * dt;
+    });
+    updateZones(world, dt);
+    updateIncident(world, dt);
+    separateTraffic(world);
+    updateTrain(world, dt);
+
+    if (crash.time >= CRASH_DURATION) world.gameOver = true;
+}
+
+// Which part of the player took a hit at `point`, in the car's own frame
+function hitZone(player, point) {
+    const box = boxOf(player);
+    const rx = point.x - player.x;
+    const rz = point.z - player.z;
+    const across = rx * box.right.x + rz * box.right.z;
+    const along = rx * box.forward.x + rz * box.forward.z;
+    return contactZone(across, -along, box.halfW, box.halfL);
+}
+
+// Resolve a contact between the player and a traffic car: push them apart,
+// trade momentum along the contact normal and damage the zone that was hit.
+// Returns true if the impact destroyed the player's car.
+function collide(world, car, contact) {
+    const { player, config } = world;
+    const n = contact.normal; // Player towards the car
+    const playerShare = car.mass / (car.mass + player.stats.mass); // The lighter one moves more
+
+    // Closing speed along the normal, forward being -z for both
+    const carVx = car.isChangingLane ? Math.sign(car.targetLaneX - car.x) * car.laneSpeed : 0;
+    const rvx = player.vx - carVx;
+    const rvz = car.direction * car.speed - player.forwardSpeed;
+    const closing = rvx * n.x + rvz * n.z;
+
+    // Separate. The player never leaves z = 0, so along the road only the traffic car moves.
+    const push = contact.depth + 0.05;
+    player.x -= n.x * push * playerShare;
+    car.x += n.x * push * (1 - playerShare);
+    car.z += n.z * push;
+    if (Math.abs(n.x) > 0.1 && !car.disabled) {
+        // Knocked out of its lane: steer back into the nearest one
+        car.isChangingLane = true;
+        car.targetLaneX = config.lanes[nearestLane(world, car.x)];
+        car.laneSpeed = LANE_CHANGE_SPEED;
+        car.signal = 0;
+    }
+    if (closing <= 0) return false; // Already moving apart
+
+    const rx = contact.point.x - player.x;
+    const rz = contact.point.z - player.z;
+    const zone = hitZone(player, contact.point);
+
+    const exchange = (1 + config.restitution) * closing;
+    applyImpulse(player, -n.x * exchange * playerShare, -n.z * exchange * playerShare, rx, rz);
+    car.speed = Math.max(0, car.speed - car.direction * n.z * exchange * (1 - playerShare)); // Shunted forwards (or slowed down) by us
+
+    // Nose to nose with oncoming traffic is the end, however healthy the car was
+    const headOn = car.direction < 0 && zone === 'front';
+    const amount = headOn ? MAX_HEALTH : impactDamage(closing, player.stats.mass, car.mass);
+    emit(world, 'impact', { car, zone, damage: amount, speed: closing, point: contact.point, normal: n });
+    if (applyDamage(player.damage, zone, amount)) {
+        wreck(world, car, { zone, other: car.type, speed: closing, headOn }, n, contact.point);
+        return true;
+    }
+    return false;
+}
+
+// Spawn, drive and despawn the traffic, then resolve the player running into
+// it. Returns the cars the player shoved, for separateTraffic.
+function updateTraffic(world, dt) {
+    const { player, config, broadphase } = world;
+
+    world.timeSinceLastSpawn += dt;
+    // Spawn faster as we go faster
+    const spawnRate = config.trafficSpawnRate / (player.speed / 30);
+    if (world.timeSinceLastSpawn > spawnRate) {
+        spawnTraffic(world);
+        world.timeSinceLastSpawn = 0;
+    }
+
+    // Where everyone is as the step starts, for the drivers to look around in
+    const users = indexRoadUsers(world);
+    for (let i = world.traffic.length - 1; i >= 0; i--) {
+        const car = world.traffic[i];
+        if (car.disabled) {
+            stepSpin(car, dt);
+        } else if (car.chasing) {
+            driveChaser(world, car, nearestLane(world, player.x), dt);
+        } else {
+            updateSpeed(world, users, car, dt);
+        }
+        car.z += (player.forwardSpeed - car.direction * car.speed) * dt;
+
+        // Remove if passed camera. Emergency vehicles start out behind it, so
+        // they go once they're left far behind or have raced off far ahead.
+        const gone = car.emergency ? car.z > config.emergencySpawnZ + 20 || car.z < config.spawnZ * 2 : car.z > config.despawnZ;
+        if (gone) {
+            world.traffic.splice(i, 1);
+            if (world.incident && world.incident.car === car) world.incident = null; // Cleared
+            emit(world, 'despawn', { car });
+            continue;
+        }
+        if (car.disabled) continue;
+
+        // Overtakes and cut-ins, then the lane change itself (also honks and knocks).
+        // Police in a pursuit pick their lanes in driveChaser, oncoming traffic keeps to its lane.
+        if (!car.chasing && car.direction > 0) updateDriver(world, users, car, nearestLane(world, car.x), dt);
+        if (car.isChangingLane) {
+            const dir = Math.sign(car.targetLaneX - car.x);
+            car.x += dir * car.laneSpeed * dt;
+
+            if (Math.abs(car.x - car.targetLaneX) < 0.1) {
+                car.x = car.targetLaneX;
+                car.isChangingLane = false;
+                car.signal = 0;
+            }
+            car.yaw = headingOf(car) - car.direction * dir * car.laneSpeed * 0.01;
+        } else {
+            car.yaw = lerp(car.yaw, headingOf(car), dt * 5);
+        }
+    }
+
+    // Only the cars the broadphase puts near the player get the exact box test
+    broadphase.clear();
+    world.traffic.forEach(car => broadphase.insert(car, boxOf(car)));
+    const playerBox = boxOf(player);
+    const shoved = new Map();
+    for (const { body: car, box } of broadphase.query(playerBox)) {
+        const contact = collideBoxes(playerBox, box);
+        if (!contact) continue;
+        shoved.set(car, Math.sign(contact.normal.z));
+        if (collide(world, car, contact)) break;
+    }
+    return shoved;
+}
+
+// Road works and merges: place and scroll them, keep the player out of the
+// closed lanes (the cones and barriers are as solid as the one at the road
+// edge) and charge for speeding through the works. Returns true if the player
+// was wrecked.
+function updateRoadworks(world, dt) {
+    const { config, player } = world;
+    // Up against the end of a closure: no further along the road until the
+    // player steers off it, so nothing scrolls and no distance is scored
+    if (player.blocked) player.forwardSpeed = Math.min(0, player.forwardSpeed);
+    const zone = updateZones(world, dt);
+    if (zone) emit(world, 'zone', { zone });
+
+    const playerBox = boxOf(player);
+    const wasBlocked = player.blocked;
+    player.blocked = false;
+    for (const closure of closuresOf(world)) {
+        const contact = collideBoxes(playerBox, boxOf(closure));
+        if (!contact) continue;
+        const n = contact.normal;
+
+        // Slid along its side: out sideways. Ran into its end: the closure
+        // doesn't give, the player is held there (above) and only the first
+        // hit does damage, not every step of pushing against it.
+        if (Math.abs(n.x) > Math.abs(n.z)) {
+            player.x -= n.x * (contact.depth + 0.05);
+        } else {
+            player.blocked = true;
+            if (wasBlocked) continue;
+        }
+        const closing = player.vx * n.x - player.forwardSpeed * n.z;
+        if (closing <= 0) continue;
+
+        const zone = hitZone(player, contact.point);
+        const exchange = (1 + config.restitution) * closing;
+        applyImpulse(player, -n.x * exchange, -n.z * exchange, contact.point.x - player.x, contact.point.z - player.z);
+        const amount = impactDamage(closing, player.stats.mass, Infinity);
+        emit(world, 'scrape', { x: contact.point.x, zone, damage: amount, speed: closing, point: contact.point, normal: n });
+        if (applyDamage(player.damage, zone, amount)) {
+            wreck(world, null, { zone, other: 'roadworks', speed: closing }, n, contact.point);
+            return true;
+        }
+    }
+
+    if (player.blocked) {
+        player.forwardSpeed = Math.min(0, player.forwardSpeed);
+        player.speed = Math.min(player.speed, config.minSpeed); // Wheels turning, going nowhere
+    }
+
+    const limit = world.zones.find(other => other.limit && other.z > 0 && other.z - other.length < 0);
+    world.speeding = Boolean(limit) && player.speed > limit.limit;
+    if (world.speeding) world.score = Math.max(0, world.score - config.worksPenalty * dt);
+    return false;
+}
+
+// Report a new incident now and then (not while lanes are closed), and once
+// the reported one comes into range, spin out a car there (the one already in
+// that spot, or a new one)
+function updateIncident(world, dt) {
+    const { config, random } = world;
+    const incident = world.incident;
+    if (!incident) {
+        if (!world.zones.length && random() < config.incidentChance) {
+            world.incident = createIncident(world);
+            emit(world, 'incident', { incident: world.incident });
+        }
+        return;
+    }
+    if (incident.car) {
+        incident.z = incident.car.z;
+        return;
+    }
+
+    incident.z += world.player.forwardSpeed * dt;
+    if (incident.z < config.spawnZ) return;
+    const car = world.traffic.find(other => {
+        return !other.disabled && !other.emergency && Math.abs(other.x - incident.x) < 1.5 && Math.abs(other.z - incident.z) < 25;
+    }) || spawnTraffic(world, { x: incident.x, z: incident.z });
+    if (!car) return;
+    spinOut(car, random);
+    incident.car = car;
+    emit(world, 'spinout', { car });
+}
+
+// Send an emergency vehicle up from behind now and then. While one is right
+// behind the player in its lane the player is in the way, and after a moment's
+// grace that costs points.
+function updateEmergency(world, dt) {
+    const { config, player, random } = world;
+    const vehicle = world.traffic.find(car => car.emergency && !car.chasing);
+    if (!vehicle) {
+        world.blocking = 0;
+        if (random() < config.emergencyChance) {
+            const type = EMERGENCY_TYPES[Math.floor(random() * EMERGENCY_TYPES.length)];
+            const lanes = lanesGoing(world, 1);
+            const x = config.lanes[lanes[Math.floor(random() * lanes.length)]];
+            const car = spawnTraffic(world, { x, z: config.emergencySpawnZ, type });
+            if (car) emit(world, 'emergency', { car });
+        }
+        return;
+    }
+
+    const gap = vehicle.z - player.z - (vehicle.length + player.length) / 2;
+    const inLane = Math.abs(vehicle.x - player.x) < (vehicle.width + player.width) / 2;
+    if (gap < 0 || gap > config.blockRange || !inLane) {
+        world.blocking = 0;
+        return;
+    }
+    world.blocking += dt;
+    if (world.blocking > config.yieldGrace) {
+        world.score = Math.max(0, world.score - config.blockPenalty * dt);
+    }
+}
+
+// Backstop for the car following: traffic never ends up inside traffic, nor
+// inside the cones. Cars the player `shoved` this step (Map of car to the way
+// it was pushed along the road, -1 or 1) push whatever is in their way along;
+// anything else still overlapping (a fresh spawn, a cut-in, a car knocked
+// sideways) is put back behind what it ran into and slowed to its speed.
+// Every move can make a new overlap, so it goes round again on the moved
+// positions until nothing overlaps any more.
+function separateTraffic(world, shoved = new Map()) {
+    const { broadphase } = world;
+    const cars = world.traffic.filter(car => !car.tumble);
+    const closures = closuresOf(world);
+
+    for (let pass = 0; pass < SEPARATION_PASSES; pass++) {
+        broadphase.clear();
+        cars.forEach(car => broadphase.insert(car, boxOf(car)));
+        closures.forEach(closure => broadphase.insert(closure, boxOf(closure)));
+
+        let moved = false;
+        cars.forEach(car => {
+            // Entries keep the box they were inserted with, test where they are now
+            broadphase.query(boxOf(car)).forEach(({ body: other }) => {
+                if (other === car) return;
+                const contact = collideBoxes(boxOf(car), boxOf(other));
+                if (!contact) return;
+                if (other.zone) {
+                    keepOutOfClosure(world, car, other, contact);
+                } else if (!shunt(car, other, shoved) && !shunt(other, car, shoved)) {
+                    putBack(car, other);
+                }
+                moved = true;
+            });
+        });
+        if (!moved) return;
+    }
+}
+
+// How far a body reaches along the road either side of its centre, turned as it is
+function reach(body) {
+    return extents(boxOf(body)).z;
+}
+
+// A car the player shoved pushes `other` along if it's in the way. Returns true if it did.
+function shunt(car, other, shoved) {
+    const way = shoved.get(car);
+    if (!way || shoved.has(other) || Math.sign(other.z - car.z) !== way) return false;
+    other.z = car.z + way * (reach(car) + reach(other) + TRAFFIC_GAP);
+    if (other.direction === car.direction) other.speed = Math.max(other.speed, car.speed);
+    shoved.set(other, way);
+    return true;
+}
+
+// The one of the two that ran into the other goes back behind it: the one
+// following in a lane, the oncoming one when they meet head on
+function putBack(a, b) {
+    const follows = a.direction !== b.direction ? a.direction < 0 : (a.z - b.z) * a.direction > 0;
+    const [back, front] = follows ? [a, b] : [b, a];
+    back.z = front.z + back.direction * (reach(back) + reach(front) + TRAFFIC_GAP);
+    back.speed = back.direction === front.direction ? Math.min(back.speed, front.speed) : 0;
+}
+
+// A car in a closed lane: alongside the cones it goes back out sideways into
+// the lane it came from, at the end of them it stops in front of them
+function keepOutOfClosure(world, car, closure, contact) {
+    const n = contact.normal; // Car towards the closure
+    if (Math.abs(n.x) > Math.abs(n.z)) {
+        car.x -= n.x * (contact.depth + TRAFFIC_GAP);
+        if (car.disabled) return;
+        car.isChangingLane = true;
+        car.targetLaneX = world.config.lanes[nearestLane(world, car.x)];
+        car.laneSpeed = LANE_CHANGE_SPEED;
+        car.signal = 0;
+        return;
+    }
+    const side = Math.sign(car.z - closure.z) || 1;
+    car.z = closure.z + side * (reach(closure) + reach(car) + TRAFFIC_GAP);
+    if (side === car.direction) car.speed = 0; // It was driving into them
+}
+
+// Pursuit mode: the wanted level, and the police cars and roadblocks it calls for
+function updatePursuit(world, dt) {
+    const { config, player, random } = world;
+    updateWanted(world, dt);
+
+    const from = nextPoliceSpawn(world, dt);
+    if (from) {
+        // Rammers come up the player's lane from behind, blockers join ahead in any lane
+        const x = from === 'behind' ? config.lanes[nearestLane(world, player.x)] : config.lanes[Math.floor(random() * config.lanes.length)];
+        const z = from === 'behind' ? config.emergencySpawnZ : config.policeAheadZ;
+        const car = spawnTraffic(world, { x, z, type: 'police', direction: 1 });
+        if (car) {
+            startChase(world, car, from === 'behind' ? 'rammer' : 'blocker');
+            emit(world, 'police', { car });
+        }
+    }
+
+    // Police cars parked across every lane but one the player can get through.
+    // With none (road works across the rest), there's no roadblock this time.
+    const open = roadblockDue(world) ? roadblockOpening(world, config.spawnZ) : -1;
+    if (open >= 0) {
+        const cars = config.lanes
+            .filter((x, i) => i !== open)
+            .map(x => spawnTraffic(world, { x, z: config.spawnZ, type: 'police' }))
+            .filter(Boolean);
+        cars.forEach((car, i) => {
+            car.emergency = false; // Lights on, but going nowhere
+            parkAcross(car, i);
+        });
+        if (cars.length) emit(world, 'roadblock', { cars, x: config.lanes[open] });
+    }
+}
+
+// Bonus points for every second spent in an oncoming lane at speed
+function updateOncoming(world, dt) {
+    const { config, player } = world;
+    const lane = nearestLane(world, player.x);
+    if (config.laneDirections[lane] > 0 || player.speed < config.oncomingMinSpeed) {
+        world.oncoming = 0;
+        return;
+    }
+    world.oncoming += dt;
+    world.score += config.oncomingBonus * dt;
+}
+
+function updateTrain(world, dt) {
+    const { config } = world;
+    if (!world.train && world.random() < config.trainChance) {
+        world.train = { z: -200, prevZ: -200, speed: config.trainSpeed };
+        emit(world, 'train');
+    }
+    if (world.train) {
+        world.train.z += (world.train.speed + world.player.forwardSpeed) * dt; // Towards camera fast
+        if (world.train.z > 200) world.train = null;
+    }
+}
+
+// Remember where everything was before this step, so the renderer can
+// interpolate between the last two steps when frames and ticks don't line up
+function savePrevious(world) {
+    const { player } = world;
+    world.prevDistance = world.distance;
+    player.prevX = player.x;
+    player.prevY = player.y;
+    player.prevZ = player.z;
+    player.prevRoll = player.roll;
+    player.prevYaw = player.yaw;
+    player.prevSteer = player.steer;
+    player.prevPitch = player.pitch;
+    world.traffic.forEach(car => {
+        car.prevX = car.x;
+        car.prevZ = car.z;
+        car.prevYaw = car.yaw;
+        if (car.tumble) {
+            car.prevY = car.y;
+            car.prevPitch = car.pitch;
+            car.prevRoll = car.roll;
+        }
+    });
+    if (world.train) world.train.prevZ = world.train.z;
+}
+
+// Advance the world by dt seconds (FIXED_DT unless you know why not).
+// `input` has the same shape as the game's key state ({ left, right, up, down })
+// plus `honk` for the tick the horn was pressed. Mutates and returns the world;
+// what happened during the step is listed in world.events.
+export function stepWorld(world, input, dt = FIXED_DT) {
+    world.events.length = 0;
+    if (world.gameOver) return world;
+    if (world.crash) {
+        stepCrash(world, dt);
+        return world;
+    }
+
+    savePrevious(world);
+    world.tick++;
+    world.time += dt;
+    // Only progress along the road counts
+    world.score += (world.player.forwardSpeed * dt) / 10;
+    world.distance += world.player.forwardSpeed * dt;
+    world.conditions = weatherAt(world.weather, world.distance);
+
+    if (input.honk) {
+        emit(world, 'honk', { car: honk(world) });
+    }
+
+    updatePlayer(world, input, dt);
+    let shoved = new Map();
+    if (!world.crash && !updateRoadworks(world, dt)) shoved = updateTraffic(world, dt);
+    if (!world.crash) {
+        updateIncident(world, dt);
+        updateEmergency(world, dt);
+        if (world.pursuit) updatePursuit(world, dt);
+    }
+    // Once everything has moved and spawned, even on the step that ended in a wreck
+    separateTraffic(world, shoved);
+    if (world.crash) return world;
+    updateOncoming(world, dt);
+
+    updateTrain(world, dt);
+    return world;
+}
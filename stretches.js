@@ -0,0 +1,39 @@
+// --- STRETCHES ---
+// Plans of what comes where along the road: one stretch after another, each
+// blending into the next over its last `transition`. The biomes (biomes.js)
+// and the weather (weather.js) are both laid out like this. Stretches are
+// drawn from the plan's own seeded generator as far as they're looked at, so
+// what's at a distance only depends on the seed, not on the order of lookups.
+
+// `draw(last, random)` gives the stretch after `last` ({ type, start, end },
+// undefined for the first one); `first` are stretches to start the plan with
+export function createStretchPlan(random, draw, first = []) {
+    return {
+        random,
+        draw,
+        stretches: [...first], // Drawn as far as they're looked at
+        cursor: 0, // Stretch of the last lookup, they mostly go along the road
+    };
+}
+
+function stretchAt(plan, i) {
+    const { stretches, random, draw } = plan;
+    while (stretches.length <= i) stretches.push(draw(stretches[stretches.length - 1], random));
+    return stretches[i];
+}
+
+// What's at distance s: { type, next, blend }. Over the last `transition` of
+// a stretch `blend` goes from 0 to 1 as `type` gives way to `next`.
+export function planAt(plan, s, transition) {
+    let i = plan.cursor;
+    while (i > 0 && stretchAt(plan, i).start > s) i--;
+    while (stretchAt(plan, i).end <= s) i++;
+    plan.cursor = i;
+
+    const stretch = stretchAt(plan, i);
+    return {
+        type: stretch.type,
+        next: stretchAt(plan, i + 1).type,
+        blend: Math.max(0, (s - (stretch.end - transition)) / transition),
+    };
+}
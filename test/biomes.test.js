@@ -0,0 +1,58 @@
+// The biome plan along the road. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BIOME_TYPES, TRANSITION, createBiomePlan, biomeAt } from '../biomes.js';
+
+// Where each biome hands over to the next, walking along the road
+function handovers(plan, until) {
+    const found = [];
+    let last = biomeAt(plan, 0).type;
+    for (let s = 0; s < until; s += 10) {
+        const { type } = biomeAt(plan, s);
+        if (type !== last) found.push({ s, from: last, to: type });
+        last = type;
+    }
+    return found;
+}
+
+test('the same seed gives the same biomes however they were looked up', () => {
+    const along = createBiomePlan(12);
+    const jumping = createBiomePlan(12);
+    biomeAt(jumping, 40000);
+    biomeAt(jumping, 100);
+    for (let s = 0; s < 40000; s += 123) assert.deepEqual(biomeAt(jumping, s), biomeAt(along, s), `s ${s}`);
+});
+
+test('biomes change along the road, never into the same one again', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const changes = handovers(createBiomePlan(seed), 30000);
+        assert.ok(changes.length >= 5, `seed ${seed}`);
+        changes.forEach(({ from, to }) => {
+            assert.notEqual(from, to);
+            assert.ok(BIOME_TYPES.includes(to));
+        });
+    }
+});
+
+test('one biome blends into the next over the transition', () => {
+    const plan = createBiomePlan(3);
+    const [first] = handovers(plan, 30000);
+    const before = biomeAt(plan, first.s - TRANSITION - 20);
+    assert.equal(before.blend, 0, 'not blending yet');
+    let blend = 0;
+    for (let s = first.s - TRANSITION; s < first.s; s += 10) {
+        const at = biomeAt(plan, s);
+        assert.equal(at.type, first.from);
+        assert.equal(at.next, first.to);
+        assert.ok(at.blend >= blend && at.blend <= 1, `s ${s}`);
+        blend = at.blend;
+    }
+    assert.ok(blend > 0.9, 'all but there by the end');
+});
+
+test('a picked biome stays all the way, an unknown one goes back to the seed\'s', () => {
+    const plan = createBiomePlan(5, 'desert');
+    for (let s = 0; s < 30000; s += 500) assert.deepEqual(biomeAt(plan, s), { type: 'desert', next: 'desert', blend: 0 });
+    assert.deepEqual(biomeAt(createBiomePlan(5, 'moon'), 9000), biomeAt(createBiomePlan(5), 9000));
+});
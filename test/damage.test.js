@@ -0,0 +1,64 @@
+// Damage zones and what they do to the handling. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MAX_HEALTH, createDamage, contactZone, impactDamage, applyDamage, wearOf } from '../damage.js';
+import { createWorld, stepWorld } from '../simulation.js';
+
+test('contactZone picks the side the hit is relatively closest to', () => {
+    // A 2 x 4 car: half sizes 1 and 2
+    assert.equal(contactZone(0, -2, 1, 2), 'front');
+    assert.equal(contactZone(0.5, 1.9, 1, 2), 'rear');
+    assert.equal(contactZone(-1, 0.5, 1, 2), 'left');
+    assert.equal(contactZone(1, -1.5, 1, 2), 'right');
+    assert.equal(contactZone(0.9, -1.9, 1, 2), 'front', 'a corner goes to the end it is further along');
+});
+
+test('impactDamage grows with the square of the closing speed and the other\'s mass', () => {
+    assert.ok(Math.abs(impactDamage(20, 1000, 1000) - 4 * impactDamage(10, 1000, 1000)) < 1e-9);
+    assert.ok(impactDamage(10, 1000, 8000) > impactDamage(10, 1000, 1000), 'a truck hurts more than a car');
+    assert.ok(impactDamage(10, 1000, Infinity) > impactDamage(10, 1000, 8000), 'and a wall most');
+    assert.equal(impactDamage(0, 1000, Infinity), 0);
+});
+
+test('applyDamage wears the zone down and reports the car destroyed', () => {
+    const damage = createDamage();
+    assert.equal(applyDamage(damage, 'front', 30), false);
+    assert.equal(damage.health, MAX_HEALTH - 30);
+    assert.equal(damage.front, 0.5);
+    assert.equal(damage.rear, 0);
+    applyDamage(damage, 'front', 60);
+    assert.equal(damage.front, 1, 'a zone can only be smashed so far');
+    assert.equal(applyDamage(damage, 'left', 20), true);
+    assert.equal(damage.health, 0);
+});
+
+test('wearOf: smashed ends lose grip, bent sides pull, lost health takes power', () => {
+    assert.deepEqual(wearOf(createDamage()), { frontGrip: 1, rearGrip: 1, power: 1, pull: 0 });
+    const wear = wearOf({ health: 50, front: 1, rear: 0.5, left: 0, right: 1 });
+    assert.ok(Math.abs(wear.frontGrip - 0.6) < 1e-9);
+    assert.ok(Math.abs(wear.rearGrip - 0.8) < 1e-9);
+    assert.equal(wear.power, 0.75);
+    assert.ok(wear.pull < 0, 'towards the bent right side');
+});
+
+test('a bent side pulls the car off its line with no hands on the wheel', () => {
+    const drift = side => {
+        const w = createWorld({ seed: 1, config: { weather: false, trackCurves: 0, trafficSpawnRate: Infinity } });
+        w.player.damage[side] = 1;
+        for (let i = 0; i < 120; i++) stepWorld(w, {});
+        return w.player.x;
+    };
+    assert.ok(drift('left') < -0.1, 'left');
+    assert.ok(drift('right') > 0.1, 'right');
+});
+
+test('a tired engine gets up to speed more slowly', () => {
+    const speedAfter = health => {
+        const w = createWorld({ seed: 1, config: { weather: false, trafficSpawnRate: Infinity } });
+        w.player.damage.health = health;
+        for (let i = 0; i < 240; i++) stepWorld(w, { up: true });
+        return w.player.speed;
+    };
+    assert.ok(speedAfter(20) < speedAfter(MAX_HEALTH));
+});
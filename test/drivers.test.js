@@ -0,0 +1,115 @@
+// Traffic drivers: car following and lane changes. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, spawnTraffic } from '../simulation.js';
+import { indexRoadUsers, updateDriver, updateSpeed, PERSONALITIES } from '../drivers.js';
+
+const DT = 1 / 120;
+
+function world(options = {}) {
+    return createWorld({ seed: 1, ...options, config: { weather: false, ...options.config } });
+}
+
+// Spawned well apart (spawnTraffic won't put cars close together), then moved to z
+function place(w, lane, z, type) {
+    const car = spawnTraffic(w, { x: w.config.lanes[lane], z: -1000 - 100 * w.traffic.length, type });
+    car.z = car.prevZ = z;
+    return car;
+}
+
+// A normal driver in lane `lane`, well ahead of the player
+function driver(w, lane, z, extra = {}) {
+    return Object.assign(place(w, lane, z, 'car'), { driver: 'normal', desiredSpeed: 25, speed: 25, thinkTimer: 0 }, extra);
+}
+
+function parked(w, lane, z, type = 'truck') {
+    const car = place(w, lane, z, type);
+    car.speed = car.desiredSpeed = 0;
+    return car;
+}
+
+test('on a free road a driver picks up speed to its desired speed and no further', () => {
+    const w = world();
+    const car = driver(w, 2, -100, { speed: 10 });
+    for (let i = 0; i < 120 * 30; i++) updateSpeed(w, indexRoadUsers(w), car, DT);
+    assert.ok(car.speed > 24 && car.speed <= 25, `${car.speed}`);
+    assert.equal(car.braking, false);
+});
+
+test('a driver closing on a stopped car brakes to a stop behind it', () => {
+    const w = world();
+    const truck = parked(w, 2, -150);
+    const car = driver(w, 2, -100);
+    for (let i = 0; i < 120 * 10; i++) {
+        const users = indexRoadUsers(w);
+        updateSpeed(w, users, car, DT);
+        if (i === 0) assert.ok(car.braking, 'brake lights on straight away');
+        car.z -= car.speed * DT;
+    }
+    const gap = car.z - truck.z - (car.length + truck.length) / 2;
+    assert.ok(car.speed < 0.5, `stopped, ${car.speed}`);
+    assert.ok(gap > 0 && gap < 2 * PERSONALITIES.normal.minGap, `gap ${gap}`);
+});
+
+test('in bad weather drivers keep a bigger gap', () => {
+    const brakingAt = headway => {
+        const w = world();
+        w.conditions = { ...w.conditions, headway };
+        parked(w, 2, -250);
+        const car = driver(w, 2, -100);
+        updateSpeed(w, indexRoadUsers(w), car, DT);
+        return car.speed;
+    };
+    assert.ok(brakingAt(1.8) < brakingAt(1), 'brakes harder for the same car ahead');
+});
+
+test('stuck behind a slow truck a driver signals and overtakes on the left', () => {
+    const w = world();
+    const truck = parked(w, 2, -110);
+    truck.speed = 5;
+    const car = driver(w, 2, -100);
+
+    updateDriver(w, indexRoadUsers(w), car, 2, DT);
+    assert.equal(car.signal, -1);
+    assert.equal(car.targetLaneX, w.config.lanes[1]);
+    assert.equal(car.isChangingLane, false, 'signals first');
+
+    for (let i = 0; i < 120 * PERSONALITIES.normal.signalTime + 2 && !car.isChangingLane; i++) {
+        updateDriver(w, indexRoadUsers(w), car, 2, DT);
+    }
+    assert.equal(car.isChangingLane, true);
+});
+
+test('with the left lane taken a driver overtakes on the right, with both taken it waits', () => {
+    const w = world();
+    parked(w, 1, -110).speed = 5;
+    const car = driver(w, 1, -100);
+    driver(w, 0, -100);
+    updateDriver(w, indexRoadUsers(w), car, 1, DT);
+    assert.equal(car.targetLaneX, w.config.lanes[2]);
+
+    const boxed = world();
+    parked(boxed, 1, -110).speed = 5;
+    const stuck = driver(boxed, 1, -100);
+    driver(boxed, 0, -100);
+    driver(boxed, 2, -100);
+    updateDriver(boxed, indexRoadUsers(boxed), stuck, 1, DT);
+    assert.equal(stuck.signal, 0);
+});
+
+test('drivers never overtake into a lane going the other way', () => {
+    const w = world({ mode: 'two-way', config: { laneCount: 2 } });
+    parked(w, 1, -110).speed = 5;
+    const car = driver(w, 1, -100);
+    updateDriver(w, indexRoadUsers(w), car, 1, DT);
+    assert.equal(car.signal, 0);
+});
+
+test('a driver pulls over to the right for an emergency vehicle behind', () => {
+    const w = world();
+    const car = driver(w, 1, -100);
+    place(w, 1, -70, 'ambulance');
+    updateDriver(w, indexRoadUsers(w), car, 1, DT);
+    assert.equal(car.targetLaneX, w.config.lanes[2]);
+});
@@ -0,0 +1,66 @@
+// The ghost: best run per car and mode, kept as a replay. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, stepWorld } from '../simulation.js';
+import { createRecorder, runReplay } from '../replay.js';
+import { ghostKey, loadGhost, saveGhost, offerGhost, createGhostRunner } from '../ghost.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+// A short run holding the throttle, as a replay
+function recordRun(seed, ticks = 600) {
+    const meta = { seed, car: 'toyota', mode: 'classic', hull: { width: 1.9, length: 4.2, height: 1.4 } };
+    const world = createWorld({ seed, mode: meta.mode, car: meta.car, player: meta.hull });
+    const recorder = createRecorder(meta);
+    while (!world.gameOver && world.tick < ticks) {
+        recorder.record(world.tick, { up: true });
+        stepWorld(world, { up: true });
+    }
+    return recorder.finish(world);
+}
+
+test('offerGhost keeps a run only if it beats the stored ghost', () => {
+    const storage = memoryStorage();
+    const run = recordRun(1);
+    assert.equal(offerGhost({ ...run, score: 100 }, storage), true, 'nothing stored yet');
+    assert.equal(offerGhost({ ...run, score: 50 }, storage), false);
+    assert.equal(offerGhost({ ...run, score: 100 }, storage), false, 'a tie keeps the old one');
+    assert.equal(loadGhost(run.car, run.mode, storage).score, 100);
+    assert.equal(offerGhost({ ...run, score: 150 }, storage), true);
+    assert.equal(loadGhost(run.car, run.mode, storage).score, 150);
+});
+
+test('ghosts are kept per car and mode', () => {
+    const storage = memoryStorage();
+    const run = recordRun(1);
+    saveGhost(run, storage);
+    assert.ok(loadGhost('toyota', 'classic', storage));
+    assert.equal(loadGhost('toyota', 'pursuit', storage), null);
+    assert.equal(loadGhost('ferrari', 'classic', storage), null);
+    assert.equal(offerGhost({ ...run, mode: 'pursuit', score: 0 }, storage), true, 'nothing to beat in another mode');
+});
+
+test('a stored ghost that no longer parses is ignored', t => {
+    t.mock.method(console, 'warn', () => {});
+    const storage = memoryStorage();
+    storage.setItem(ghostKey('toyota', 'classic'), '{"broken"');
+    assert.equal(loadGhost('toyota', 'classic', storage), null);
+    assert.equal(offerGhost(recordRun(2, 60), storage), true, 'and replaced by the next run');
+});
+
+test('the ghost runner drives the recorded run tick by tick', () => {
+    const run = recordRun(3);
+    const runner = createGhostRunner(run);
+    const live = createWorld({ seed: 3 });
+    for (let tick = 0; tick < run.ticks + 10; tick++) runner.step(); // Stops at the end of the replay
+    assert.equal(runner.world.tick, run.ticks);
+    assert.equal(runner.world.distance, runReplay(run).distance);
+    assert.equal(runner.deltaTo(live), runner.world.distance, 'ahead of a world that hasn\'t moved');
+});
@@ -0,0 +1,87 @@
+// Incidents: reporting an accident ahead and the spin-out. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIncident, spinOut, stepSpin } from '../incidents.js';
+import { createWorld, stepWorld, spawnTraffic } from '../simulation.js';
+import { createRng } from '../rng.js';
+
+// A quiet straight road: nothing turns up unless the test puts it there
+function world(config = {}) {
+    const w = createWorld({ seed: 4, config: { weather: false, trackCurves: 0, trafficSpawnRate: Infinity, incidentChance: 0, ...config } });
+    w.nextZone = Infinity;
+    return w;
+}
+
+test('incidents only happen in lanes going the player\'s way', () => {
+    for (let seed = 1; seed <= 30; seed++) {
+        const w = createWorld({ seed, config: { laneCount: 4, oncomingLanes: 2 } });
+        const incident = createIncident(w);
+        const lane = w.config.lanes.indexOf(incident.x);
+        assert.equal(w.config.laneDirections[lane], 1, `seed ${seed}`);
+        assert.equal(incident.z, w.config.incidentZ);
+        assert.equal(incident.car, null);
+    }
+});
+
+test('a spun-out car slides to a stop with its hazards on', () => {
+    const car = { speed: 30, yaw: 0, signal: -1, isChangingLane: true };
+    spinOut(car, createRng(1));
+    assert.equal(car.disabled, true);
+    assert.equal(car.hazards, true);
+    assert.equal(car.isChangingLane, false);
+    assert.equal(car.signal, 0);
+    assert.ok(Math.abs(car.spin) > 0);
+
+    const spin = Math.abs(car.spin);
+    for (let i = 0; i < 120 * 10; i++) stepSpin(car, 1 / 120);
+    assert.equal(car.speed, 0);
+    assert.equal(car.braking, false);
+    assert.ok(Math.abs(car.spin) < spin / 100, 'spun down');
+    assert.notEqual(car.yaw, 0, 'ends up turned across the lane');
+});
+
+test('no incident is reported while there are road works', () => {
+    const w = world({ incidentChance: 1 });
+    w.zones.push({ kind: 'works', z: -300, length: 200, closed: [2], limit: 40 });
+    stepWorld(w, {});
+    assert.equal(w.incident, null);
+    w.zones.length = 0;
+    stepWorld(w, {});
+    assert.ok(w.incident);
+    assert.ok(w.events.some(e => e.type === 'incident'));
+});
+
+test('the reported incident spins out a car as it comes into range', () => {
+    const w = world();
+    w.incident = createIncident(w);
+    let spun = null;
+    for (let i = 0; i < 120 * 30 && !spun; i++) {
+        stepWorld(w, { up: true });
+        spun = w.events.find(e => e.type === 'spinout');
+    }
+    assert.ok(spun, 'the player drove up to it');
+    const { car } = spun;
+    assert.equal(w.incident.car, car);
+    assert.equal(car.disabled, true);
+    assert.ok(Math.abs(car.x - w.incident.x) < 1e-9, 'in the reported lane');
+    stepWorld(w, {});
+    assert.equal(w.incident.z, car.z, 'the incident stays with the car');
+});
+
+test('traffic behind a spun-out car stops short of it', () => {
+    // Two lanes, one each way: there's no going round it
+    const w = world({ laneCount: 2, oncomingLanes: 1 });
+    const x = w.config.lanes[1];
+    const wreck = spawnTraffic(w, { x, z: -300, type: 'car' });
+    const behind = spawnTraffic(w, { x, z: -200, type: 'car' });
+    wreck.z = -250; // Spawned further up, spawnTraffic won't put them close together
+    spinOut(wreck, w.random);
+    wreck.speed = 0;
+    wreck.spin = 0;
+
+    for (let i = 0; i < 120 * 8; i++) stepWorld(w, {});
+    assert.ok(behind.speed < 0.5, 'stopped');
+    assert.ok(behind.z - wreck.z > (behind.length + wreck.length) / 2, 'behind it, not in it');
+    assert.ok(Math.abs(behind.x - x) < 1e-9, 'still in its lane');
+});
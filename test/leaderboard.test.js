@@ -0,0 +1,56 @@
+// Local leaderboard: adding runs, filtering, export and import. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addEntry, loadLeaderboard, filterEntries, exportLeaderboard, importLeaderboard } from '../leaderboard.js';
+
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: key => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+    };
+}
+
+const run = (score, extra = {}) => ({ name: 'ANA', car: 'toyota', mode: 'classic', score, distance: score * 10, seed: 1, date: `2026-10-0${score % 9 + 1}T12:00:00.000Z`, ...extra });
+
+test('entries are kept best first, names trimmed and scores whole', () => {
+    const storage = memoryStorage();
+    addEntry(run(10.7), storage);
+    addEntry(run(30, { name: '  ' }), storage);
+    addEntry(run(20, { name: 'a very long name indeed' }), storage);
+    const board = loadLeaderboard(storage);
+    assert.deepEqual(board.map(e => e.score), [30, 20, 10]);
+    assert.equal(board[0].name, 'PLAYER');
+    assert.equal(board[1].name, 'a very long name');
+});
+
+test('filterEntries narrows by car and mode, "all" matches everything', () => {
+    const entries = [run(1), run(2, { car: 'ferrari' }), run(3, { mode: 'pursuit' })];
+    assert.equal(filterEntries(entries, { car: 'ferrari' }).length, 1);
+    assert.equal(filterEntries(entries, { mode: 'pursuit', car: 'all' }).length, 1);
+    assert.equal(filterEntries(entries, { car: 'all', mode: 'all' }).length, 3);
+    assert.equal(filterEntries(entries).length, 3);
+});
+
+test('importing a board merges its entries and drops the ones already there', () => {
+    const ours = memoryStorage();
+    const theirs = memoryStorage();
+    const shared = addEntry(run(50), ours);
+    addEntry(shared, theirs);
+    addEntry(run(40, { name: 'BEA' }), theirs);
+    addEntry(run(60, { name: 'BEA' }), theirs);
+
+    assert.equal(importLeaderboard(exportLeaderboard(theirs), ours), 2);
+    assert.deepEqual(loadLeaderboard(ours).map(e => `${e.name} ${e.score}`), ['BEA 60', 'ANA 50', 'BEA 40']);
+    assert.equal(importLeaderboard(exportLeaderboard(theirs), ours), 0, 'the same board twice adds nothing');
+});
+
+test('importing skips invalid entries and rejects what isn\'t a board', () => {
+    const storage = memoryStorage();
+    const text = JSON.stringify({ version: 1, entries: [run(5), { name: 'X', score: 'lots' }, null] });
+    assert.equal(importLeaderboard(text, storage), 1);
+    assert.throws(() => importLeaderboard('nope', storage), /not valid JSON/);
+    assert.throws(() => importLeaderboard(JSON.stringify({ version: 2, entries: [] }), storage), /Not a leaderboard/);
+    assert.throws(() => importLeaderboard(JSON.stringify([run(5)]), storage), /Not a leaderboard/);
+});
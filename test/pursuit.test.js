@@ -0,0 +1,125 @@
+// Pursuit mode: the wanted level and roadblocks. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, stepWorld, spawnTraffic } from '../simulation.js';
+import { laneClosed } from '../roadworks.js';
+import { updateWanted, SPEED_LIMIT, EVADE_DISTANCE } from '../pursuit.js';
+
+const DT = 1 / 120;
+
+function pursuitWorld() {
+    return createWorld({ seed: 1, mode: 'pursuit', config: { weather: false } });
+}
+
+// updateWanted on its own, with `events` as what happened this step
+function wantedAfter(w, events, dt = 0) {
+    w.events.length = 0;
+    w.events.push(...events);
+    updateWanted(w, dt);
+    return w.pursuit.wanted;
+}
+
+test('crashing into traffic raises the wanted level, once per cooldown', () => {
+    const w = pursuitWorld();
+    const car = { chasing: false };
+    assert.equal(wantedAfter(w, [{ type: 'impact', car, damage: 1 }]), 0, 'a nudge doesn\'t count');
+    assert.equal(wantedAfter(w, [{ type: 'impact', car, damage: 10 }]), 1);
+    assert.deepEqual(w.events.find(e => e.type === 'wanted'), { type: 'wanted', level: 1, reason: 'crash' });
+    w.time = 1;
+    assert.equal(wantedAfter(w, [{ type: 'impact', car, damage: 10 }]), 1, 'same pile-up');
+    w.time = 5;
+    assert.equal(wantedAfter(w, [{ type: 'impact', car, damage: 10 }]), 2);
+});
+
+test('ramming back at the police doesn\'t raise the level', () => {
+    const w = pursuitWorld();
+    const police = { chasing: true };
+    w.time = 7;
+    assert.equal(wantedAfter(w, [{ type: 'impact', car: police, damage: 10 }]), 0);
+    assert.equal(police.rammedAt, 7);
+});
+
+test('speed traps catch the player over the limit', () => {
+    for (const speed of [SPEED_LIMIT - 5, SPEED_LIMIT + 5]) {
+        const w = pursuitWorld();
+        w.player.speed = w.player.forwardSpeed = speed;
+        w.distance = w.pursuit.nextTrap;
+        let trap;
+        for (let i = 0; i < 120 * 20 && !trap; i++) {
+            wantedAfter(w, [], DT);
+            trap = w.events.find(e => e.type === 'speedTrap');
+        }
+        assert.ok(trap, 'drove under it');
+        assert.equal(trap.caught, speed > SPEED_LIMIT);
+        assert.equal(w.pursuit.wanted, speed > SPEED_LIMIT ? 1 : 0);
+    }
+});
+
+test('out of sight for long enough the level drops, down to the police calling it off', () => {
+    const w = pursuitWorld();
+    w.pursuit.wanted = 2;
+    w.player.forwardSpeed = 50;
+    const police = spawnTraffic(w, { x: w.config.lanes[1], z: -40, type: 'police' });
+    Object.assign(police, { chasing: true, emergency: true });
+
+    // Close behind: seen the whole time
+    for (let t = 0; t < EVADE_DISTANCE / 50 + 1; t += DT) wantedAfter(w, [], DT);
+    assert.equal(w.pursuit.wanted, 2);
+    assert.equal(w.pursuit.evade, 0);
+
+    police.z = -300;
+    let steps = 0;
+    while (w.pursuit.wanted === 2) {
+        wantedAfter(w, [], DT);
+        steps++;
+    }
+    assert.ok(Math.abs(steps * DT * 50 - EVADE_DISTANCE) < 1, 'after EVADE_DISTANCE out of sight');
+    assert.equal(w.pursuit.evade, 0, 'starts over for the next star');
+    assert.ok(police.chasing, 'still after the player at one star');
+
+    for (let t = 0; t < EVADE_DISTANCE / 50 + 1; t += DT) wantedAfter(w, [], DT);
+    assert.equal(w.pursuit.wanted, 0);
+    assert.equal(police.chasing, false, 'called off');
+    assert.equal(police.emergency, false);
+    assert.equal(police.driver, 'normal');
+});
+
+// A pursuit at roadblock level with one due, on a road with the left lane
+// oncoming and road works closing `closed` where the roadblock goes up
+function roadblockWorld(seed, closed) {
+    const w = createWorld({ seed, mode: 'pursuit', config: { weather: false, laneCount: 3, oncomingLanes: 1 } });
+    w.nextZone = Infinity;
+    if (closed.length) w.zones.push({ kind: 'works', z: -50, length: 200, closed, limit: 40 });
+    w.pursuit.wanted = 3;
+    w.pursuit.nextRoadblock = 0;
+    return w;
+}
+
+test('a roadblock always leaves a lane open going the player\'s way, clear of road works', () => {
+    for (const closed of [[], [1], [2]]) {
+        for (let seed = 1; seed <= 20; seed++) {
+            const w = roadblockWorld(seed, closed);
+            stepWorld(w, {});
+            const roadblock = w.events.find(e => e.type === 'roadblock');
+            assert.ok(roadblock, `seed ${seed}, closed ${closed}`);
+
+            const { lanes, laneDirections, spawnZ } = w.config;
+            const open = lanes.indexOf(roadblock.x);
+            assert.equal(laneDirections[open], 1, 'not in the oncoming lane');
+            assert.ok(!laneClosed(w, open, spawnZ + 100, 200), 'not through the cones');
+            assert.ok(roadblock.cars.every(car => Math.abs(car.x - roadblock.x) > 1), 'nobody parked in it');
+            roadblock.cars.forEach(car => {
+                const lane = lanes.findIndex(x => Math.abs(car.x - x) < 1);
+                assert.equal(car.direction, laneDirections[lane], 'police take their lane\'s direction');
+            });
+        }
+    }
+});
+
+test('with road works across every lane going the player\'s way there\'s no roadblock', () => {
+    const w = roadblockWorld(1, [1, 2]);
+    stepWorld(w, {});
+    assert.equal(w.events.find(e => e.type === 'roadblock'), undefined);
+    assert.ok(!w.traffic.some(car => car.roadblock));
+});
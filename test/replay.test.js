@@ -0,0 +1,73 @@
+// Replays: a recorded run played back headless with runReplay has to come
+// out exactly the same. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, stepWorld, MODES } from '../simulation.js';
+import { createRecorder, runReplay, serializeReplay, parseReplay } from '../replay.js';
+import { createRng } from '../rng.js';
+
+const HULL = { width: 1.9, length: 4.2, height: 1.4 };
+const TRAFFIC = { car: { width: 2, length: 4.1, height: 1.3 }, truck: { width: 2.5, length: 7, height: 3 } };
+
+// Drive a run the way a player might: hold keys for a while, honk now and
+// then, all from its own seeded generator. Returns the world and the replay.
+function recordRun(seed, mode, ticks) {
+    const meta = { seed, car: 'ferrari', mode, hull: HULL, traffic: TRAFFIC };
+    const world = createWorld({ seed, mode, car: meta.car, player: HULL, traffic: TRAFFIC });
+    const recorder = createRecorder(meta);
+    const random = createRng(seed ^ 0x5eed);
+    let keys = {};
+
+    while (!world.gameOver && world.tick < ticks) {
+        if (world.tick % 60 === 0) {
+            const steer = random();
+            keys = { up: random() < 0.8, down: random() < 0.1, left: steer < 0.25, right: steer > 0.75 };
+        }
+        const commands = random() < 0.005 ? ['honk'] : [];
+        recorder.record(world.tick, keys, commands);
+        stepWorld(world, { ...keys, honk: commands.includes('honk') });
+    }
+    return { world, replay: recorder.finish(world) };
+}
+
+function snapshot(world) {
+    const { player } = world;
+    return {
+        tick: world.tick,
+        score: world.score,
+        distance: world.distance,
+        gameOver: world.gameOver,
+        wreck: world.wreck,
+        player: { x: player.x, speed: player.speed, yaw: player.yaw, damage: player.damage },
+        traffic: world.traffic.map(car => [car.id, car.type, car.x, car.z, car.speed, car.length]),
+    };
+}
+
+MODES.forEach(mode => {
+    test(`runReplay reproduces a recorded ${mode} run`, () => {
+        for (const seed of [7, 1234, 99999]) {
+            const { world, replay } = recordRun(seed, mode, 120 * 40);
+            const played = runReplay(parseReplay(serializeReplay(replay)));
+            assert.deepEqual(snapshot(played), snapshot(world), `seed ${seed}`);
+            assert.equal(Math.floor(played.score), replay.score);
+        }
+    });
+});
+
+test('a replay only stores the inputs that changed', () => {
+    const { replay } = recordRun(3, 'classic', 600);
+    assert.ok(replay.inputs.length / 2 <= 11, 'at most one key change a second');
+    assert.ok(replay.inputs.every(Number.isInteger));
+});
+
+test('parseReplay rejects what it can\'t play back', () => {
+    const { replay } = recordRun(5, 'classic', 120);
+    assert.throws(() => parseReplay('not json'), /not valid JSON/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, sim: replay.sim - 1 })), /different version/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, seed: -1 })), /seed/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, hull: null })), /collision box/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, traffic: { truck: { width: 0, length: 7 } } })), /traffic/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, inputs: [0] })), /inputs/);
+    assert.throws(() => parseReplay(serializeReplay({ ...replay, commands: [[0, 'jump']] })), /commands/);
+});
@@ -0,0 +1,30 @@
+// Seeds and the seeded generators. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRng, deriveRng, hashString, parseSeed } from '../rng.js';
+
+test('parseSeed takes numbers as they are and hashes anything else', () => {
+    assert.equal(parseSeed('12345'), 12345);
+    assert.equal(parseSeed(' 42 '), 42);
+    assert.equal(parseSeed(7), 7);
+    assert.equal(parseSeed('4294967297'), 1, 'wrapped to 32 bits');
+    assert.equal(parseSeed('daily-2026-10-19'), hashString('daily-2026-10-19'));
+    assert.equal(parseSeed('-5'), hashString('-5'), 'only plain digits count as a number');
+});
+
+test('parseSeed gives null when there\'s no seed', () => {
+    assert.equal(parseSeed(null), null);
+    assert.equal(parseSeed(undefined), null);
+    assert.equal(parseSeed(''), null);
+    assert.equal(parseSeed('   '), null);
+});
+
+test('the same seed gives the same numbers, a derived stream its own', () => {
+    const draw = random => Array.from({ length: 5 }, () => random());
+    assert.deepEqual(draw(createRng(99)), draw(createRng(99)));
+    assert.notDeepEqual(draw(createRng(99)), draw(createRng(100)));
+    assert.deepEqual(draw(deriveRng(99, 'scenery')), draw(deriveRng(99, 'scenery')));
+    assert.notDeepEqual(draw(deriveRng(99, 'scenery')), draw(createRng(99)));
+    assert.ok(draw(createRng(1)).every(n => n >= 0 && n < 1));
+});
@@ -0,0 +1,287 @@
+// Rules of the headless simulation: spawning, the horn and collisions.
+// Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createWorld, stepWorld, spawnTraffic, honk, MODES } from '../simulation.js';
+import { boxOf, collideBoxes } from '../collision.js';
+import { MAX_HEALTH } from '../damage.js';
+import { closuresOf } from '../roadworks.js';
+import { createRng } from '../rng.js';
+
+// No weather, so the rules tested here don't depend on where the seed puts the rain
+function world(options = {}) {
+    return createWorld({ seed: 1, ...options, config: { weather: false, ...options.config } });
+}
+
+test('spawnTraffic puts a car where it is asked to, driving the way its lane goes', () => {
+    const w = world({ mode: 'two-way' });
+    const { lanes } = w.config;
+
+    const car = spawnTraffic(w, { x: lanes[2], z: -50 });
+    assert.equal(car.x, lanes[2]);
+    assert.equal(car.z, -50);
+    assert.equal(car.direction, 1);
+    assert.ok(w.traffic.includes(car));
+
+    const oncoming = spawnTraffic(w, { x: lanes[0], z: -50 });
+    assert.equal(oncoming.direction, -1);
+    assert.equal(oncoming.yaw, Math.PI);
+});
+
+test('spawnTraffic refuses to spawn on top of another car', () => {
+    const w = world();
+    const x = w.config.lanes[1];
+    assert.ok(spawnTraffic(w, { x, z: -100 }));
+    assert.equal(spawnTraffic(w, { x, z: -90 }), null);
+    assert.ok(spawnTraffic(w, { x, z: -130 }), 'far enough back is fine');
+    assert.ok(spawnTraffic(w, { x: w.config.lanes[0], z: -100 }), 'the lane beside is fine');
+});
+
+test('spawnTraffic never spawns in a lane closed by road works', () => {
+    const w = world();
+    w.zones.push({ kind: 'works', z: -50, length: 200, closed: [0], limit: 40 });
+    assert.equal(spawnTraffic(w, { x: w.config.lanes[0], z: -100 }), null);
+    assert.ok(spawnTraffic(w, { x: w.config.lanes[1], z: -100 }));
+});
+
+test('traffic takes the collision boxes measured by the renderer, if it has them', () => {
+    const w = world({ traffic: { truck: { width: 2.4, length: 7, height: 3 } } });
+    const truck = spawnTraffic(w, { x: w.config.lanes[1], z: -50, type: 'truck' });
+    assert.equal(truck.width, 2.4);
+    assert.equal(truck.length, 7);
+    assert.equal(truck.height, 3);
+    assert.ok(truck.mass > 0, 'the rest comes from the simulation');
+
+    const car = spawnTraffic(w, { x: w.config.lanes[0], z: -50, type: 'car' });
+    assert.equal(car.length, world().sizes.car.length, 'unmeasured kinds fall back to its sizes');
+});
+
+test('emergency vehicles get the emergency driver and their sirens on', () => {
+    const w = world();
+    const car = spawnTraffic(w, { x: w.config.lanes[1], z: 60, type: 'ambulance' });
+    assert.equal(car.driver, 'emergency');
+    assert.equal(car.emergency, true);
+    const truck = spawnTraffic(w, { x: w.config.lanes[1], z: -100, type: 'truck' });
+    assert.equal(truck.emergency, false);
+});
+
+test('spawning is the same for the same seed', () => {
+    const run = () => {
+        const w = world({ seed: 42 });
+        for (let i = 0; i < 20; i++) spawnTraffic(w, { z: -100 - i * 30 });
+        return w.traffic.map(car => [car.type, car.x, car.color, car.driver, car.desiredSpeed]);
+    };
+    assert.deepEqual(run(), run());
+});
+
+test('honk moves the closest car ahead in the player\'s lane over to the right', () => {
+    const w = world();
+    const { lanes } = w.config;
+    const far = spawnTraffic(w, { x: lanes[1], z: -50 });
+    const near = spawnTraffic(w, { x: lanes[1], z: -20 });
+
+    assert.equal(honk(w), near);
+    assert.equal(near.isChangingLane, true);
+    assert.equal(near.targetLaneX, lanes[2]);
+    assert.equal(near.signal, 1);
+    assert.equal(far.isChangingLane, false);
+});
+
+test('honk moves a car in the rightmost lane to the left', () => {
+    const w = world();
+    const { lanes } = w.config;
+    w.player.x = lanes[2];
+    const car = spawnTraffic(w, { x: lanes[2], z: -20 });
+    assert.equal(honk(w), car);
+    assert.equal(car.targetLaneX, lanes[1]);
+});
+
+test('honk ignores cars out of range, behind, in other lanes or already moving', () => {
+    const w = world();
+    const { lanes, honkRange } = w.config;
+    spawnTraffic(w, { x: lanes[1], z: -honkRange - 10 });
+    spawnTraffic(w, { x: lanes[1], z: 10 });
+    spawnTraffic(w, { x: lanes[0], z: -20 });
+    assert.equal(honk(w), null);
+
+    const busy = spawnTraffic(w, { x: lanes[1], z: -30 });
+    busy.isChangingLane = true;
+    busy.targetLaneX = lanes[0];
+    assert.equal(honk(w), null);
+    assert.equal(busy.targetLaneX, lanes[0]);
+});
+
+test('honk never sends a car into oncoming traffic', () => {
+    const w = world({ mode: 'two-way', config: { laneCount: 2 } });
+    const { lanes } = w.config;
+    w.player.x = lanes[1];
+    const car = spawnTraffic(w, { x: lanes[1], z: -20 });
+    assert.equal(honk(w), null);
+    assert.equal(car.isChangingLane, false);
+});
+
+test('a honk in the input is reported as an event', () => {
+    const w = world();
+    const car = spawnTraffic(w, { x: w.config.lanes[1], z: -20 });
+    stepWorld(w, { honk: true });
+    assert.deepEqual(w.events.filter(e => e.type === 'honk').map(e => e.car), [car]);
+});
+
+test('collideBoxes finds overlaps with a normal from the first box towards the second', () => {
+    const a = boxOf({ x: 0, z: 0, width: 2, length: 4 });
+    const b = boxOf({ x: 0, z: -3.5, width: 2, length: 4 });
+    const contact = collideBoxes(a, b);
+    assert.ok(contact);
+    assert.ok(Math.abs(contact.normal.x) < 1e-9);
+    assert.equal(contact.normal.z, -1);
+    assert.ok(Math.abs(contact.depth - 0.5) < 1e-9);
+    assert.ok(Math.abs(contact.point.z + 1.75) < 1e-9);
+
+    assert.equal(collideBoxes(a, boxOf({ x: 0, z: -4.5, width: 2, length: 4 })), null);
+    assert.equal(collideBoxes(a, boxOf({ x: 2.5, z: 0, width: 2, length: 4 })), null);
+});
+
+test('collideBoxes takes the yaw into account', () => {
+    const a = boxOf({ x: 0, z: 0, width: 2, length: 4 });
+    // Side by side they'd just miss, turned across the road the second one reaches over
+    const beside = { x: 2.2, z: 0, width: 2, length: 4 };
+    assert.equal(collideBoxes(a, boxOf(beside)), null);
+    const contact = collideBoxes(a, boxOf({ ...beside, yaw: Math.PI / 2 }));
+    assert.ok(contact);
+    assert.ok(contact.normal.x > 0.99);
+});
+
+// Every pair of traffic cars (wrecks tumbling off excepted) and every car
+// against the road works cones; returns a description of the first overlap
+function overlapIn(w) {
+    const cars = w.traffic.filter(car => !car.tumble);
+    const closures = closuresOf(w);
+    for (let i = 0; i < cars.length; i++) {
+        for (const other of [...cars.slice(i + 1), ...closures]) {
+            const contact = collideBoxes(boxOf(cars[i]), boxOf(other));
+            if (contact && contact.depth > 1e-6) return `${cars[i].type} ${cars[i].id} into ${other.zone ? 'a closure' : `${other.type} ${other.id}`}`;
+        }
+    }
+    return null;
+}
+
+test('traffic never ends a step overlapping other traffic or a closure', () => {
+    // Busy roads with plenty of road works and accidents, the player in a truck shoving through
+    const config = { trafficSpawnRate: 0.3, zoneSpacing: 600, incidentChance: 0.002 };
+    for (const mode of MODES) {
+        for (const seed of [3, 6, 8]) {
+            const w = world({ seed, mode, car: 'truck', config });
+            const random = createRng(seed);
+            let keys = {};
+            while (!w.gameOver && w.tick < 120 * 30) {
+                if (w.tick % 60 === 0) {
+                    const steer = random();
+                    keys = { up: random() < 0.9, left: steer < 0.2, right: steer > 0.8 };
+                }
+                stepWorld(w, keys);
+                const overlap = overlapIn(w);
+                assert.equal(overlap, null, `${mode} seed ${seed} tick ${w.tick}`);
+            }
+        }
+    }
+});
+
+test('ramming a pile-up shoves it along without the cars ending up in each other', () => {
+    const w = world({ car: 'truck' });
+    const x = w.config.lanes[1];
+    // Stopped nose to tail just ahead of the player (spawned apart, spawnTraffic
+    // won't put them that close, then moved up)
+    const pile = [0, 1, 2, 3, 4].map(i => spawnTraffic(w, { x, z: -100 - i * 50, type: 'car' }));
+    pile.forEach((car, i) => {
+        car.z = -(w.player.length + car.length) / 2 - 1 - i * (car.length + 0.2);
+        car.speed = 0;
+        car.disabled = true;
+        car.spin = 0;
+    });
+    w.player.speed = w.player.forwardSpeed = 30;
+
+    let hits = 0;
+    for (let i = 0; i < 120; i++) {
+        stepWorld(w, { up: true });
+        hits += w.events.filter(e => e.type === 'impact').length;
+        assert.equal(overlapIn(w), null, `tick ${w.tick}`);
+    }
+    assert.ok(hits > 0, 'the pile-up is hit');
+    assert.ok(pile.every(car => car.speed > 0), 'all the way down the pile');
+});
+
+test('running into the back of a truck damages the front and pushes the two apart', () => {
+    const w = world();
+    const truck = spawnTraffic(w, { x: 0, z: -(w.player.length + w.sizes.truck.length) / 2 + 0.2, type: 'truck' });
+    truck.speed = 0;
+    w.player.speed = w.player.forwardSpeed = 60;
+
+    stepWorld(w, { up: true });
+    const impact = w.events.find(e => e.type === 'impact');
+    assert.ok(impact, 'the hit is reported');
+    assert.equal(impact.car, truck);
+    assert.equal(impact.zone, 'front');
+    assert.ok(w.player.damage.front > 0);
+    assert.ok(w.player.damage.health < MAX_HEALTH);
+    assert.ok(w.player.speed < 60, 'the player is slowed down');
+    assert.equal(collideBoxes(boxOf(w.player), boxOf(truck)), null);
+});
+
+test('a head-on with oncoming traffic wrecks the car whatever its health', () => {
+    const w = world({ mode: 'two-way' });
+    w.player.x = w.config.lanes[0];
+    spawnTraffic(w, { x: w.config.lanes[0], z: -4, type: 'car' });
+
+    stepWorld(w, { up: true });
+    assert.ok(w.crash, 'the crash sequence starts');
+    assert.equal(w.wreck.headOn, true);
+    assert.equal(w.player.damage.health, 0);
+    while (!w.gameOver) stepWorld(w, {});
+    assert.ok(w.gameOver);
+});
+
+test('steering into the barrier scrapes the side and keeps the car on the road', () => {
+    const w = world();
+    const scrapes = [];
+    for (let i = 0; i < 600 && !scrapes.length; i++) {
+        stepWorld(w, { right: true });
+        scrapes.push(...w.events.filter(e => e.type === 'scrape'));
+    }
+    assert.ok(scrapes.length, 'the barrier is hit');
+    assert.equal(scrapes[0].zone, 'right');
+    assert.ok(w.player.x <= w.config.edge - w.config.barrierGap);
+    assert.ok(w.player.damage.right > 0);
+});
+
+test('running into the end of a lane closure stops the player there, the closure stays put', () => {
+    const w = world();
+    // Road works in the player's lane, starting just ahead
+    const zone = { kind: 'works', z: -w.player.length / 2 - 0.1, length: 200, closed: [1], limit: 40 };
+    w.zones.push(zone);
+    w.nextZone = Infinity;
+    w.player.speed = w.player.forwardSpeed = 20;
+
+    stepWorld(w, { up: true });
+    const hit = w.events.find(e => e.type === 'scrape');
+    assert.ok(hit, 'the first hit is reported');
+    assert.equal(hit.zone, 'front');
+    const health = w.player.damage.health;
+    assert.ok(health < MAX_HEALTH);
+
+    // Pinned against it with the throttle down: no further, no more damage
+    const at = { zone: zone.z, distance: w.distance, score: w.score };
+    for (let i = 0; i < 240; i++) stepWorld(w, { up: true });
+    assert.ok(w.player.blocked);
+    assert.ok(Math.abs(zone.z - at.zone) < 1e-9, 'the closure never moves');
+    assert.ok(Math.abs(w.distance - at.distance) < 1e-9);
+    assert.ok(Math.abs(w.score - at.score) < 1e-9);
+    assert.equal(w.player.damage.health, health);
+    assert.ok(w.player.speed <= w.config.minSpeed, 'no speed builds up against it');
+
+    // Steered off it, the car gets going again
+    for (let i = 0; i < 240 && w.player.blocked; i++) stepWorld(w, { up: true, right: true });
+    assert.equal(w.player.blocked, false);
+    for (let i = 0; i < 60; i++) stepWorld(w, { up: true });
+    assert.ok(w.distance > at.distance);
+});
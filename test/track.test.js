@@ -0,0 +1,78 @@
+// The road's shape: bends, crests and the centre line. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTrack, trackAt, createTrackPath, pathAt, trimPath, rebasePath } from '../track.js';
+import { createWorld, stepWorld } from '../simulation.js';
+
+const TIGHTEST = 1 / 400; // MIN_RADIUS in track.js
+const HIGHEST = 30; // MAX_HEIGHT
+
+const close = (a, b, eps = 1e-9) => Math.abs(a - b) < eps;
+
+test('the same seed lays the same road however far ahead it was looked at', () => {
+    const along = createTrack(7);
+    const ahead = createTrack(7);
+    trackAt(ahead, 5000);
+    for (let s = 0; s < 5000; s += 37) assert.deepEqual(trackAt(along, s), trackAt(ahead, s), `s ${s}`);
+
+    const other = createTrack(8);
+    assert.ok([500, 1000, 2000].some(s => trackAt(other, s).curve !== trackAt(along, s).curve), 'another seed, another road');
+});
+
+test('the road starts straight and level and its bends and hills stay in bounds', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const track = createTrack(seed);
+        assert.deepEqual(trackAt(track, 0), { curve: 0, height: 0, grade: 0, bank: 0 });
+        for (let s = 0; s < 20000; s += 10) {
+            const road = trackAt(track, s);
+            // The spline overshoots the control points by a quarter at most
+            assert.ok(Math.abs(road.curve) <= TIGHTEST * 1.25, `seed ${seed} s ${s}`);
+            assert.ok(Math.abs(road.height) <= HIGHEST * 1.25, `seed ${seed} s ${s}`);
+            assert.equal(Math.sign(road.bank), Math.sign(road.curve), 'banked into the bend');
+        }
+    }
+});
+
+test('curves 0 and hills 0 give a straight, flat road', () => {
+    const track = createTrack(3, 0, 0);
+    for (let s = 0; s < 5000; s += 50) {
+        const road = trackAt(track, s);
+        assert.equal(road.curve, 0);
+        assert.equal(road.height, 0);
+    }
+    const path = createTrackPath(track);
+    const end = pathAt(path, 1000);
+    assert.ok(close(end.x, 0) && close(end.z, -1000) && end.heading === 0, 'straight down -Z');
+});
+
+test('the centre line turns with the curvature', () => {
+    const track = createTrack(5);
+    const path = createTrackPath(track);
+    let heading = 0;
+    for (let s = 0; s < 3000; s += 0.5) heading += trackAt(track, s + 0.25).curve * 0.5;
+    assert.ok(close(pathAt(path, 3000).heading, heading, 1e-3));
+});
+
+test('trimming and moving the origin don\'t move the road', () => {
+    const path = createTrackPath(createTrack(9));
+    const before = pathAt(path, 2500);
+    const origin = pathAt(path, 2000);
+    trimPath(path, 2000);
+    rebasePath(path, origin.x, origin.z);
+    const after = pathAt(path, 2500);
+    assert.ok(close(after.x, before.x - origin.x, 1e-6));
+    assert.ok(close(after.z, before.z - origin.z, 1e-6));
+    assert.ok(close(Math.cos(after.heading), Math.cos(before.heading)));
+});
+
+test('hands off the wheel the car drifts wide in the bends', () => {
+    const drift = curves => {
+        const w = createWorld({ seed: 1, config: { weather: false, trackCurves: curves, trafficSpawnRate: Infinity } });
+        w.nextZone = Infinity;
+        while (w.distance < 500) stepWorld(w, { up: true });
+        return Math.abs(w.player.x);
+    };
+    assert.equal(drift(0), 0);
+    assert.ok(drift(1) > 1);
+});
@@ -0,0 +1,100 @@
+// The weather along the road and what it does to the driving. Run with `npm test`.
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WEATHER, createWeather, weatherAt } from '../weather.js';
+import { createStretchPlan, planAt } from '../stretches.js';
+import { createWorld, stepWorld, spawnTraffic } from '../simulation.js';
+import { createRng } from '../rng.js';
+
+// Stretches of `length` taking turns through `types`
+function turns(types, length) {
+    return createStretchPlan(createRng(1), last => {
+        const i = last ? (types.indexOf(last.type) + 1) % types.length : 0;
+        const start = last ? last.end : 0;
+        return { type: types[i], start, end: start + length };
+    });
+}
+
+// A quiet straight road where it's `type` all the way
+function world(type) {
+    const w = createWorld({ seed: 1, config: { trackCurves: 0, trafficSpawnRate: Infinity } });
+    w.nextZone = Infinity;
+    w.weather.stretches = [{ type, start: -Infinity, end: Infinity }];
+    return w;
+}
+
+test('a stretch plan blends each stretch into the next over the transition', () => {
+    const plan = turns(['a', 'b'], 100);
+    assert.deepEqual(planAt(plan, 10, 20), { type: 'a', next: 'b', blend: 0 });
+    assert.deepEqual(planAt(plan, 95, 20), { type: 'a', next: 'b', blend: 0.75 });
+    assert.deepEqual(planAt(plan, 150, 20), { type: 'b', next: 'a', blend: 0 });
+    assert.deepEqual(planAt(plan, 20, 20), { type: 'a', next: 'b', blend: 0 }, 'looking back works too');
+    assert.equal(plan.stretches.length, 3, 'drawn only as far as looked at');
+});
+
+test('the run starts in the clear, and the weather is the same for the same seed', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const weather = createWeather(seed);
+        for (let s = 0; s < 750; s += 50) assert.equal(weatherAt(weather, s).type, 'clear', `seed ${seed} s ${s}`);
+        const again = createWeather(seed);
+        for (let s = 0; s < 30000; s += 250) assert.deepEqual(weatherAt(again, s), weatherAt(weather, s));
+    }
+});
+
+test('it clears up between rain, snow and fog', () => {
+    for (let seed = 1; seed <= 10; seed++) {
+        const weather = createWeather(seed);
+        weatherAt(weather, 50000);
+        const types = weather.stretches.map(stretch => stretch.type);
+        assert.ok(types.some(type => type !== 'clear'), `seed ${seed}`);
+        types.forEach((type, i) => {
+            if (i) assert.ok(type === 'clear' || types[i - 1] === 'clear', `seed ${seed}: ${types[i - 1]} into ${type}`);
+        });
+    }
+});
+
+test('with the weather off it stays clear', () => {
+    const weather = createWeather(4, false);
+    for (let s = 0; s < 30000; s += 500) {
+        const at = weatherAt(weather, s);
+        assert.equal(at.type, 'clear');
+        assert.equal(at.grip, 1);
+        assert.equal(at.braking, 1);
+    }
+});
+
+test('changing weather mixes the effects in between', () => {
+    const weather = createWeather(1);
+    weather.stretches = [{ type: 'clear', start: -Infinity, end: 1000 }, { type: 'snow', start: 1000, end: 3000 }];
+    const { grip } = weatherAt(weather, 1000 - 125); // Halfway through the transition
+    assert.ok(Math.abs(grip - (WEATHER.clear.grip + WEATHER.snow.grip) / 2) < 1e-9);
+});
+
+test('the car takes longer to brake in the rain and longer still in the snow', () => {
+    const braking = type => {
+        const w = world(type);
+        w.player.speed = w.player.forwardSpeed = 50;
+        const from = w.distance;
+        while (w.player.speed > 20) stepWorld(w, { down: true });
+        assert.equal(w.conditions.type, type);
+        return w.distance - from;
+    };
+    const clear = braking('clear');
+    const rain = braking('rain');
+    assert.ok(rain > clear * 1.2, `${rain} vs ${clear}`);
+    assert.ok(braking('snow') > rain * 1.2);
+});
+
+test('traffic drives slower in the snow', () => {
+    const cruise = type => {
+        const w = world(type);
+        const car = spawnTraffic(w, { x: w.config.lanes[1], z: -150, type: 'car' });
+        car.driver = 'normal';
+        car.desiredSpeed = 30;
+        for (let i = 0; i < 120 * 10; i++) stepWorld(w, {});
+        return car.speed;
+    };
+    assert.ok(Math.abs(cruise('clear') - 30) < 0.5);
+    assert.ok(Math.abs(cruise('snow') - 30 * WEATHER.snow.traffic) < 0.5);
+});
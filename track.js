@@ -0,0 +1,158 @@
+// --- TRACK ---
+// The road's shape along its length, where road.js has its cross-section:
+// bends (banked in the tighter ones), crests and dips. Control points every
+// CONTROL_SPACING along the road each get a curvature and a height, and a
+// Catmull-Rom spline through them smooths the road out in between. They're
+// drawn lazily from the track's own generator, so the road ahead comes out
+// the same for the same seed however far it has been looked at.
+//
+// Everything here goes by distance along the road (s; world.distance is the
+// player's). The simulation only needs the curvature under the player: the
+// road turning away beneath a car that keeps going straight is what makes
+// bends need steering. Traffic and everything else stay in road coordinates.
+// The renderer walks the spline into a centre line in space (trackPath) and
+// lays the road, the roadside and the cars along it.
+
+import { deriveRng } from './rng.js';
+
+const CONTROL_SPACING = 120;
+const STRAIGHT_CHANCE = 0.35; // The rest of the sections are bends
+const SECTION_POINTS = 4; // A straight or a bend runs for up to this many control points
+const MIN_RADIUS = 400; // Tightest bend: flat out it takes a lift in the fast cars
+const MAX_RADIUS = 1200;
+const HEIGHT_STEP = 9; // Most the road climbs or drops between control points
+const MAX_HEIGHT = 30; // Above or below where it started
+const BANKING = 30; // Bank angle (rad) per unit of curvature, ~4° in the tightest bends
+const FLAT_START = 2; // Control points kept straight and level at the start
+
+const PATH_STEP = 2; // Distance between centre line samples
+
+// `curves` and `hills` scale the bends and the height changes (0 makes the
+// road straight or flat), see trackCurves and trackHills in SIM_CONFIG
+export function createTrack(seed, curves = 1, hills = 1) {
+    const track = {
+        random: deriveRng(seed, 'track'),
+        curves,
+        hills,
+        points: [], // { curve, height }
+        section: { curve: 0, left: 0 },
+        walk: 0, // Height before scaling by `hills`
+    };
+    for (let i = 0; i < FLAT_START; i++) track.points.push({ curve: 0, height: 0 });
+    return track;
+}
+
+function addPoint(track) {
+    const { random, section } = track;
+    if (section.left <= 0) {
+        section.left = 1 + Math.floor(random() * SECTION_POINTS);
+        const radius = MIN_RADIUS + random() * (MAX_RADIUS - MIN_RADIUS);
+        const side = random() < 0.5 ? -1 : 1;
+        section.curve = random() < STRAIGHT_CHANCE ? 0 : side / radius;
+    }
+    section.left--;
+
+    const climb = (random() * 2 - 1) * HEIGHT_STEP;
+    track.walk = Math.max(-MAX_HEIGHT, Math.min(MAX_HEIGHT, track.walk + climb));
+    track.points.push({ curve: section.curve * track.curves, height: track.walk * track.hills });
+}
+
+function pointAt(track, i) {
+    while (track.points.length <= i) addPoint(track);
+    return track.points[Math.max(0, i)];
+}
+
+function catmullRom(p0, p1, p2, p3, t) {
+    return 0.5 * (2 * p1 + (p2 - p0) * t + (2 * p0 - 5 * p1 + 4 * p2 - p3) * t * t + (3 * p1 - p0 - 3 * p2 + p3) * t * t * t);
+}
+
+// d/dt of the above
+function catmullRomSlope(p0, p1, p2, p3, t) {
+    return 0.5 * ((p2 - p0) + 2 * (2 * p0 - 5 * p1 + 4 * p2 - p3) * t + 3 * (3 * p1 - p0 - 3 * p2 + p3) * t * t);
+}
+
+// The road at distance s: { curve, height, grade, bank }. curve is 1/radius,
+// positive when the road bends left; grade is the climb per unit along the
+// road; bank is the angle (rad) the road leans into the bend, its outside up.
+export function trackAt(track, s) {
+    const u = s / CONTROL_SPACING;
+    const i = Math.floor(u);
+    const t = u - i;
+    const p = [pointAt(track, i - 1), pointAt(track, i), pointAt(track, i + 1), pointAt(track, i + 2)];
+    const curve = catmullRom(p[0].curve, p[1].curve, p[2].curve, p[3].curve, t);
+    return {
+        curve,
+        height: catmullRom(p[0].height, p[1].height, p[2].height, p[3].height, t),
+        grade: catmullRomSlope(p[0].height, p[1].height, p[2].height, p[3].height, t) / CONTROL_SPACING,
+        bank: curve * BANKING,
+    };
+}
+
+// --- CENTRE LINE ---
+// The track integrated into a line in space for the renderer: x and z on the
+// ground (the road starts at the origin heading along -Z, like the scene),
+// heading as a rotation about Y (positive turned left, like yaw). Sampled
+// every PATH_STEP as far as it's asked for; trimPath drops what's left behind
+// and rebasePath moves the origin along (a floating origin).
+
+export function createTrackPath(track) {
+    return { track, samples: [{ s: 0, x: 0, z: 0, heading: 0 }] };
+}
+
+function extendPath(path, s) {
+    const { samples, track } = path;
+    let last = samples[samples.length - 1];
+    while (last.s < s) {
+        // Midpoint rule: the heading halfway along the step carries it
+        const heading = last.heading + trackAt(track, last.s + PATH_STEP / 2).curve * PATH_STEP / 2;
+        last = {
+            s: last.s + PATH_STEP,
+            x: last.x - Math.sin(heading) * PATH_STEP,
+            z: last.z - Math.cos(heading) * PATH_STEP,
+            heading: heading + trackAt(track, last.s + PATH_STEP).curve * PATH_STEP / 2,
+        };
+        samples.push(last);
+    }
+}
+
+// The centre line at distance s: { x, y, z, heading, grade, bank }
+export function pathAt(path, s) {
+    extendPath(path, s + PATH_STEP);
+    const { samples } = path;
+    const first = samples[0];
+    const road = trackAt(path.track, s);
+    const along = { y: road.height, grade: road.grade, bank: road.bank };
+    if (s <= first.s) {
+        // Behind the start (or what's been trimmed): carry straight on back
+        const back = first.s - s;
+        return { ...along, x: first.x + Math.sin(first.heading) * back, z: first.z + Math.cos(first.heading) * back, heading: first.heading };
+    }
+    const i = Math.floor((s - first.s) / PATH_STEP);
+    const a = samples[i];
+    const b = samples[i + 1];
+    const t = (s - a.s) / PATH_STEP;
+    return {
+        ...along,
+        x: a.x + (b.x - a.x) * t,
+        z: a.z + (b.z - a.z) * t,
+        heading: a.heading + (b.heading - a.heading) * t,
+    };
+}
+
+// Forget the centre line before s
+export function trimPath(path, s) {
+    const drop = Math.floor((s - path.samples[0].s) / PATH_STEP);
+    if (drop > 0) path.samples.splice(0, Math.min(drop, path.samples.length - 1));
+}
+
+// Move the origin to (x, z) and the heading back within a turn of 0, so the
+// numbers stay small however long the run
+export function rebasePath(path, x, z) {
+    const { samples } = path;
+    const turns = Math.round(samples[samples.length - 1].heading / (Math.PI * 2)) * Math.PI * 2;
+    samples.forEach(sample => {
+        sample.x -= x;
+        sample.z -= z;
+        sample.heading -= turns;
+    });
+}
@@ -0,0 +1,171 @@
+// --- VEHICLE DYNAMICS ---
+// Bicycle model for the player car, in road coordinates (x across the road,
+// the road runs along -Z). One front and one rear "wheel" carry the lateral
+// tyre forces; the car's heading (yaw) relative to the road is what moves it
+// sideways, so lane changes come from steering rather than sliding.
+//
+// Conventions match Three.js rotation.y: positive yaw / steer / yaw rate turn
+// the nose left (towards -x). `v` is the body's sideways velocity, positive to
+// the car's left. Forces are per unit mass, so mass only enters through the
+// stats (weight transfer, bump response).
+//
+// Per-car stats used here (see cars.js): accelCurve, topSpeed, braking,
+// lateral (steering agility), grip (peak lateral acceleration, units/s²) and
+// balance (rear / front grip; above 1 understeers, below 1 oversteers).
+// Damage (player.damage, see damage.js) wears all of these down.
+//
+// In a bend the road turns away underneath the car (track.js), so its yaw
+// relative to the road drifts unless the driver steers into the bend. Rain and
+// snow (weather.js) take grip and braking away on top of the damage.
+
+import { accelerationAt } from './cars.js';
+import { wearOf } from './damage.js';
+
+const PEAK_SLIP = 0.12; // Slip angle (rad) where a tyre gives most of its grip
+const GRIP_FADE = 0.3; // Share of grip lost at top speed
+const MAX_TRANSFER = 0.15; // Load moved between axles under full braking
+const STEER_ASSIST = 1 / 12; // Turns `lateral` into how far past the grip limit full lock goes
+const RECENTER = 4; // 1/s, how fast the keyboard assist straightens the car with no input
+const MAX_STEER = 0.5; // rad, full lock at walking pace
+
+export function initVehicle(player) {
+    player.wheelbase = player.length * 0.65;
+    player.steer = 0; // Front wheel angle, rad
+    player.yawRate = 0;
+    player.v = 0;
+    player.vx = 0; // Across the road
+    player.forwardSpeed = player.speed; // Along the road
+    player.lateralAccel = 0;
+    player.longAccel = 0;
+    player.frontLoad = 0.5; // Share of weight on the front axle
+    player.pitch = 0;
+    player.prevSteer = 0;
+    player.prevPitch = 0;
+    return player;
+}
+
+// Grip available at this speed: tyres give less the faster you go
+export function gripAt(stats, speed) {
+    return stats.grip * (1 - GRIP_FADE * Math.min(speed / stats.topSpeed, 1.2));
+}
+
+function updateLongitudinal(player, input, config, wear, road, dt) {
+    const stats = player.stats;
+    const before = player.speed;
+    const topSpeed = stats.topSpeed * wear.power;
+
+    if (input.up) {
+        if (player.speed < topSpeed) {
+            player.speed = Math.min(player.speed + accelerationAt(stats, player.speed) * wear.power * dt, topSpeed);
+        } else {
+            player.speed -= config.friction * dt; // Damaged engine can't hold the speed any more
+        }
+    } else if (input.down) {
+        player.speed -= stats.braking * road.braking * dt;
+    } else {
+        // Coasting
+        player.speed -= config.friction * dt;
+    }
+    if (player.speed < config.minSpeed) player.speed = config.minSpeed;
+    player.braking = !!input.down;
+    player.longAccel = (player.speed - before) / dt;
+
+    // Weight transfer: braking loads the front tyres, accelerating the rear
+    const transfer = Math.max(-MAX_TRANSFER, Math.min(MAX_TRANSFER, -player.longAccel / stats.braking * MAX_TRANSFER));
+    player.frontLoad = 0.5 + transfer;
+}
+
+function targetSteer(player, input, wear, road) {
+    const stats = player.stats;
+    const u = player.speed;
+    // Speed-sensitive lock: roughly what the tyres can hold, a bit more for agile cars
+    const lock = Math.min(MAX_STEER, stats.lateral * STEER_ASSIST * player.wheelbase * gripAt(stats, u) * road.grip / (u * u));
+    const pull = wear.pull * lock; // Bent suspension, the driver has to hold against it
+
+    const dir = (input.left ? 1 : 0) - (input.right ? 1 : 0);
+    if (dir !== 0) return dir * lock + pull;
+
+    // Hands off: keyboard assist steers the nose back parallel to the road
+    const wanted = -RECENTER * player.yaw;
+    return Math.max(-lock, Math.min(lock, player.wheelbase * wanted / u)) + pull;
+}
+
+function updateLateral(player, input, wear, road, dt) {
+    const stats = player.stats;
+    const u = Math.max(player.speed, 1);
+    const a = player.wheelbase / 2;
+    const b = player.wheelbase / 2;
+    const inertia = a * b; // Yaw inertia per unit mass
+
+    // Agile cars turn the wheel faster
+    const steerLag = 1.5 / stats.lateral;
+    player.steer += (targetSteer(player, input, wear, road) - player.steer) * Math.min(1, dt / steerLag);
+
+    // Axle grip: weight transfer and the car's balance decide which end lets go first
+    const grip = gripAt(stats, u) * road.grip;
+    const frontGrip = grip * 2 * player.frontLoad / (1 + stats.balance) * wear.frontGrip;
+    const rearGrip = grip * 2 * (1 - player.frontLoad) * stats.balance / (1 + stats.balance) * wear.rearGrip;
+
+    const slipFront = player.steer - Math.atan2(player.v + a * player.yawRate, u);
+    const slipRear = -Math.atan2(player.v - b * player.yawRate, u);
+    const forceFront = frontGrip * Math.tanh(slipFront / PEAK_SLIP);
+    const forceRear = rearGrip * Math.tanh(slipRear / PEAK_SLIP);
+
+    // Semi-implicit Euler: velocities first, then positions with the new velocities
+    player.lateralAccel = forceFront * Math.cos(player.steer) + forceRear;
+    player.v += (player.lateralAccel - u * player.yawRate) * dt;
+    player.yawRate += (a * forceFront * Math.cos(player.steer) - b * forceRear) / inertia * dt;
+    player.yaw += (player.yawRate - road.curve * player.forwardSpeed) * dt; // The road turns too
+
+    // Heading left moves the car towards -x
+    player.vx = -u * Math.sin(player.yaw) - player.v * Math.cos(player.yaw);
+    player.x += player.vx * dt;
+    player.forwardSpeed = u * Math.cos(player.yaw) - player.v * Math.sin(player.yaw);
+}
+
+// Keep the car between the barriers. Returns how fast it hit one (0 if it didn't).
+function clampToRoad(player, limits) {
+    const edge = player.x < limits.min ? limits.min : (player.x > limits.max ? limits.max : null);
+    if (edge === null) return 0;
+
+    const impact = Math.abs(player.vx);
+    player.x = edge;
+    player.vx = 0;
+    player.v = 0;
+    // Only turning into the barrier is stopped, so the car can still steer off
+    // it (in a bend the road keeps turning it in)
+    const side = edge === limits.min ? -1 : 1;
+    if (player.yawRate * side < 0) player.yawRate = 0;
+    if (player.yaw * side < 0) player.yaw *= 0.5;
+    return impact;
+}
+
+// Knock the car by a change of velocity (jx, jz) in road coordinates, applied
+// at (rx, rz) from its centre: off-centre hits also spin it
+export function applyImpulse(player, jx, jz, rx, rz) {
+    const sin = Math.sin(player.yaw);
+    const cos = Math.cos(player.yaw);
+    player.speed += -jx * sin - jz * cos;
+    player.v += -jx * cos + jz * sin;
+    const inertia = (player.wheelbase / 2) ** 2;
+    player.yawRate += 0.5 * (rz * jx - rx * jz) / inertia;
+}
+
+// Body motion for the renderer: roll away from the turn, pitch under braking
+function updateBody(player) {
+    player.roll = Math.max(-0.12, Math.min(0.12, -player.lateralAccel * 0.003));
+    player.pitch = Math.max(-0.05, Math.min(0.05, player.longAccel * 0.0006));
+}
+
+// Advance the player's car one step. `limits` are the x positions of the barriers,
+// `road` the road under the car: { curve, grip, braking }, its curvature
+// (1/radius, positive bending left) and the weather's share of grip and braking left.
+// Returns how hard it hit a barrier (0 if it didn't).
+export function stepVehicle(player, input, config, limits, road, dt) {
+    const wear = wearOf(player.damage);
+    updateLongitudinal(player, input, config, wear, road, dt);
+    updateLateral(player, input, wear, road, dt);
+    const impact = clampToRoad(player, limits);
+    updateBody(player);
+    return impact;
+}
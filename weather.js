@@ -0,0 +1,68 @@
+// --- WEATHER ---
+// The weather changes along the road: clear stretches, rain, snow and fog
+// banks, one blending into the next over TRANSITION. Like the biomes, which
+// weather comes where is drawn from the run seed (its own generator, so it
+// doesn't shift the traffic) and only depends on the distance along the road.
+//
+// Weather is a simulation rule, not just scenery: wet and snowy roads have
+// less grip and longer braking distances (vehicle.js), and traffic drives
+// slower and keeps bigger gaps (drivers.js). stepWorld mixes the weather at
+// the player into world.conditions every step; the renderer draws the rain,
+// snow and fog from the same numbers.
+//
+// Per weather (multipliers are 1 in the clear):
+//   grip, braking   the player's tyre grip and braking
+//   traffic         traffic's desired speed
+//   headway         the time gap and standstill gap traffic keeps
+//   fog             fog density
+//   rain, snow      how hard it's coming down (0 to 1), for the renderer
+//   length          [min, max] length of a stretch of it
+
+import { deriveRng } from './rng.js';
+import { createStretchPlan, planAt } from './stretches.js';
+
+export const WEATHER = {
+    clear: { label: 'CLEAR', grip: 1, braking: 1, traffic: 1, headway: 1, fog: 1, rain: 0, snow: 0, length: [1500, 3500] },
+    rain: { label: 'RAIN', grip: 0.8, braking: 0.7, traffic: 0.85, headway: 1.4, fog: 1.6, rain: 1, snow: 0, length: [1000, 2500] },
+    snow: { label: 'SNOW', grip: 0.55, braking: 0.5, traffic: 0.7, headway: 1.8, fog: 2.2, rain: 0, snow: 1, length: [1000, 2000] },
+    fog: { label: 'FOG', grip: 1, braking: 1, traffic: 0.8, headway: 1.5, fog: 5, rain: 0, snow: 0, length: [300, 700] }, // Banks, not a whole stretch
+};
+
+export const WEATHER_TYPES = Object.keys(WEATHER);
+
+const TRANSITION = 250; // Blend from one weather into the next over this distance
+const CLEAR_START = 1000; // The run starts in the clear for at least this far
+const EFFECTS = ['grip', 'braking', 'traffic', 'headway', 'fog', 'rain', 'snow'];
+
+// `enabled` false keeps it clear all the way (SIM_CONFIG.weather)
+export function createWeather(seed, enabled = true) {
+    const first = { type: 'clear', start: -Infinity, end: CLEAR_START };
+    return {
+        ...createStretchPlan(deriveRng(seed, 'weather'), drawWeather, [first]), // See stretches.js
+        enabled,
+    };
+}
+
+// Clear in between everything else, so it never goes straight from snow to fog
+function drawWeather(last, random) {
+    const others = WEATHER_TYPES.filter(type => type !== 'clear');
+    const type = last.type === 'clear' ? others[Math.floor(random() * others.length)] : 'clear';
+    const [min, max] = WEATHER[type].length;
+    return { type, start: last.end, end: last.end + min + random() * (max - min) };
+}
+
+// The weather at distance s: the effects in WEATHER mixed across a transition,
+// plus `type`, the weather it's mostly like there (for the HUD)
+export function weatherAt(weather, s) {
+    if (!weather.enabled) return mixed('clear', 'clear', 0);
+    const { type, next, blend } = planAt(weather, s, TRANSITION);
+    return mixed(type, next, blend);
+}
+
+function mixed(from, to, blend) {
+    const conditions = { type: blend < 0.5 ? from : to };
+    EFFECTS.forEach(effect => {
+        conditions[effect] = WEATHER[from][effect] + (WEATHER[to][effect] - WEATHER[from][effect]) * blend;
+    });
+    return conditions;
+}